@@ -0,0 +1,308 @@
+const {
+  isIsoDate,
+  getIsoDateInTimezone,
+  shiftIsoDate,
+  daysBetween,
+  getIsoWeekdayNumber
+} = require("./dateUtils");
+
+const ENTRY_KINDS = ["term", "holiday", "vacation"];
+const WEEK_PARITIES = ["numerator", "denominator"];
+
+const PARITY_LABELS = {
+  numerator: "числитель",
+  denominator: "знаменатель"
+};
+
+const DAY_OFF_LABELS = {
+  holiday: "Праздник",
+  vacation: "Каникулы"
+};
+
+const RU_WEEKDAYS = {
+  "пн": 1,
+  "вт": 2,
+  "ср": 3,
+  "чт": 4,
+  "пт": 5,
+  "сб": 6,
+  "вс": 7
+};
+
+// Range queries walk day by day, keep them bounded.
+const MAX_RANGE_DAYS = 62;
+
+/**
+ * Parse a source day label such as `"Пт-1"` into weekday and week index.
+ * The index is the week of the two-week cycle: odd is числитель, even is знаменатель.
+ *
+ * @param {string|null} label
+ * @returns {{weekday: number|null, weekIndex: number|null}|null} null when the label is unrecognized
+ */
+function parseDayLabel(label) {
+  const match = String(label || "")
+    .trim()
+    .toLowerCase()
+    .match(/^([а-я]{2})\.?\s*[-–]?\s*(\d+)?$/);
+  if (!match) return null;
+
+  const weekday = RU_WEEKDAYS[match[1]] || null;
+  const weekIndex = match[2] ? Number.parseInt(match[2], 10) : null;
+  if (!weekday && !weekIndex) return null;
+  return { weekday, weekIndex };
+}
+
+/**
+ * @param {number} weekNumber 1-based
+ * @param {"numerator"|"denominator"} firstWeek
+ * @returns {"numerator"|"denominator"}
+ */
+function getWeekParity(weekNumber, firstWeek = "numerator") {
+  const isFirstKind = weekNumber % 2 === 1;
+  if (firstWeek === "denominator") return isFirstKind ? "denominator" : "numerator";
+  return isFirstKind ? "numerator" : "denominator";
+}
+
+/**
+ * Validate an admin calendar entry.
+ *
+ * @param {unknown} body
+ * @returns {{ok: true, entry: Record<string, any>}|{ok: false, error: string}}
+ */
+function normalizeCalendarEntry(body) {
+  const kind = String(body?.kind || "").trim();
+  if (!ENTRY_KINDS.includes(kind)) {
+    return { ok: false, error: `kind must be one of: ${ENTRY_KINDS.join(", ")}` };
+  }
+
+  const from = String(body?.from || body?.date || "").trim();
+  const to = String(body?.to || from).trim();
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    return { ok: false, error: "from and to must be in YYYY-MM-DD format" };
+  }
+  if (from > to) return { ok: false, error: "from must not be later than to" };
+
+  const entry = { kind, from, to, title: body?.title ? String(body.title).trim() : null };
+  if (kind === "term") {
+    const firstWeek = body?.firstWeek ? String(body.firstWeek).trim() : "numerator";
+    if (!WEEK_PARITIES.includes(firstWeek)) {
+      return { ok: false, error: `firstWeek must be one of: ${WEEK_PARITIES.join(", ")}` };
+    }
+    entry.firstWeek = firstWeek;
+  }
+
+  return { ok: true, entry };
+}
+
+class AcademicCalendar {
+  /**
+   * Terms, holidays and vacations are loaded from MongoDB into memory by `refresh()`,
+   * so bot formatting can look them up synchronously (same approach as `BellSchedule`).
+   *
+   * @param {{
+   *  timezone: string,
+   *  repository?: import("./academicCalendarRepository").AcademicCalendarRepository|null,
+   *  scheduleRepository?: any,
+   *  logger?: any
+   * }} options
+   */
+  constructor({ timezone, repository = null, scheduleRepository = null, logger = null }) {
+    this.timezone = timezone;
+    this.repository = repository;
+    this.scheduleRepository = scheduleRepository;
+    this.logger = logger;
+    /** @type {Array<Record<string, any>>} */
+    this.entries = [];
+  }
+
+  /**
+   * Reload calendar entries from storage.
+   *
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.repository) return;
+    this.entries = await this.repository.listEntries();
+  }
+
+  /**
+   * @param {string} isoDate
+   * @returns {Record<string, any>|null} the latest started term covering the date
+   */
+  findTerm(isoDate) {
+    const terms = this.entries.filter(
+      (entry) => entry.kind === "term" && entry.from <= isoDate && entry.to >= isoDate
+    );
+    return terms.sort((a, b) => b.from.localeCompare(a.from))[0] || null;
+  }
+
+  /**
+   * A holiday wins over a vacation when both cover the date.
+   *
+   * @param {string} isoDate
+   * @returns {Record<string, any>|null}
+   */
+  findDayOff(isoDate) {
+    const covering = this.entries.filter(
+      (entry) => entry.kind !== "term" && entry.from <= isoDate && entry.to >= isoDate
+    );
+    return (
+      covering.find((entry) => entry.kind === "holiday") ||
+      covering.find((entry) => entry.kind === "vacation") ||
+      null
+    );
+  }
+
+  /**
+   * Describe one day. Week number and parity come from the term covering the date
+   * (weeks start on Monday, the week of the term start is week 1); without a term,
+   * parity falls back to the week index of the source `dayLabel`.
+   *
+   * @param {string} isoDate
+   * @param {string|null} [dayLabel] `dayLabel` of any lesson on that date
+   * @returns {Record<string, any>|null} null when the date is invalid
+   */
+  describeDay(isoDate, dayLabel = null) {
+    if (!isIsoDate(isoDate)) return null;
+
+    const term = this.findTerm(isoDate);
+    const dayOff = this.findDayOff(isoDate);
+    const parsedLabel = parseDayLabel(dayLabel);
+
+    let weekNumber = null;
+    let parity = null;
+    let paritySource = null;
+    if (term) {
+      const termMonday = shiftIsoDate(term.from, 1 - getIsoWeekdayNumber(term.from));
+      weekNumber = Math.floor(daysBetween(termMonday, isoDate) / 7) + 1;
+      parity = getWeekParity(weekNumber, term.firstWeek);
+      paritySource = "term";
+    } else if (parsedLabel?.weekIndex) {
+      parity = getWeekParity(parsedLabel.weekIndex);
+      paritySource = "dayLabel";
+    }
+
+    return {
+      date: isoDate,
+      weekday: getIsoWeekdayNumber(isoDate),
+      term: term ? { id: term.id, title: term.title, from: term.from, to: term.to } : null,
+      weekNumber,
+      parity,
+      parityLabel: parity ? PARITY_LABELS[parity] : null,
+      paritySource,
+      dayOff: dayOff ? { id: dayOff.id, kind: dayOff.kind, title: dayOff.title } : null,
+      isStudyDay: Boolean(term) && !dayOff,
+      dayLabel: dayLabel || null,
+      dayLabelWeekIndex: parsedLabel?.weekIndex || null
+    };
+  }
+
+  /**
+   * Describe a date range, using day labels of the active snapshot.
+   *
+   * @param {{date?: string, from?: string, to?: string}} [params] defaults to today
+   * @returns {Promise<{ok: true, timezone: string, from: string, to: string, days: Array<Record<string, any>>}|{ok: false, error: string}>}
+   */
+  async describeRange({ date, from, to } = {}) {
+    for (const [key, value] of Object.entries({ date, from, to })) {
+      if (value && !isIsoDate(value)) return { ok: false, error: `${key} must be in YYYY-MM-DD format` };
+    }
+    if (date && (from || to)) return { ok: false, error: "use either date or from/to" };
+
+    const today = getIsoDateInTimezone(this.timezone);
+    const rangeFrom = date || from || to || today;
+    const rangeTo = date || to || rangeFrom;
+    if (rangeFrom > rangeTo) return { ok: false, error: "from must not be later than to" };
+    if (daysBetween(rangeFrom, rangeTo) + 1 > MAX_RANGE_DAYS) {
+      return { ok: false, error: `range must not exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    const dayLabels = this.scheduleRepository
+      ? await this.scheduleRepository.getActiveDayLabels(rangeFrom, rangeTo)
+      : new Map();
+
+    const days = [];
+    for (let isoDate = rangeFrom; isoDate <= rangeTo; isoDate = shiftIsoDate(isoDate, 1)) {
+      days.push(this.describeDay(isoDate, dayLabels.get(isoDate) || null));
+    }
+
+    return { ok: true, timezone: this.timezone, from: rangeFrom, to: rangeTo, days };
+  }
+
+  /**
+   * Short Russian line for bot day headers: `"Неделя 5, знаменатель"`, `"Праздник: ..."`.
+   *
+   * @param {string} isoDate
+   * @param {string|null} [dayLabel]
+   * @returns {string} empty string when nothing is known about the date
+   */
+  formatDayNote(isoDate, dayLabel = null) {
+    const day = this.describeDay(isoDate, dayLabel);
+    if (!day) return "";
+
+    if (day.dayOff) {
+      const label = DAY_OFF_LABELS[day.dayOff.kind];
+      return day.dayOff.title ? `${label}: ${day.dayOff.title}` : label;
+    }
+    if (day.weekNumber && day.parityLabel) return `Неделя ${day.weekNumber}, ${day.parityLabel}`;
+    if (day.parityLabel) return `${day.parityLabel[0].toUpperCase()}${day.parityLabel.slice(1)}`;
+    return "";
+  }
+
+  /**
+   * List stored entries.
+   *
+   * @returns {Array<Record<string, any>>}
+   */
+  listEntries() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Validate and store a term, holiday or vacation.
+   *
+   * @param {unknown} body
+   * @returns {Promise<{ok: true, entry: Record<string, any>}|{ok: false, error: string}>}
+   */
+  async addEntry(body) {
+    if (!this.repository) return { ok: false, error: "academic calendar storage is not configured" };
+
+    const normalized = normalizeCalendarEntry(body);
+    if (!normalized.ok) return normalized;
+
+    const entry = await this.repository.insertEntry(normalized.entry);
+    await this.refresh();
+    this.logger?.info("Academic calendar entry added", {
+      id: entry.id,
+      kind: entry.kind,
+      from: entry.from,
+      to: entry.to
+    });
+    return { ok: true, entry };
+  }
+
+  /**
+   * Delete a stored entry.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} false when no entry has the id
+   */
+  async deleteEntry(id) {
+    if (!this.repository) return false;
+
+    const deleted = await this.repository.deleteEntry(id);
+    if (deleted) {
+      await this.refresh();
+      this.logger?.info("Academic calendar entry deleted", { id });
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  AcademicCalendar,
+  parseDayLabel,
+  getWeekParity,
+  normalizeCalendarEntry,
+  MAX_RANGE_DAYS
+};
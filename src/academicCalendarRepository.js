@@ -0,0 +1,67 @@
+const { ObjectId } = require("mongodb");
+
+function toEntry(doc) {
+  const { _id, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
+class AcademicCalendarRepository {
+  /**
+   * @param {import("mongodb").Db} db
+   */
+  constructor(db) {
+    this.collection = db.collection("academicCalendar");
+  }
+
+  /**
+   * Ensure indexes for terms, holidays and vacations.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this.collection.createIndex({ kind: 1, from: 1 }, { name: "kind_from" });
+  }
+
+  /**
+   * Read all calendar entries ordered by start date.
+   *
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listEntries() {
+    const docs = await this.collection.find({}).sort({ from: 1, kind: 1 }).toArray();
+    return docs.map(toEntry);
+  }
+
+  /**
+   * Store one calendar entry.
+   *
+   * @param {{
+   *  kind: "term"|"holiday"|"vacation",
+   *  from: string,
+   *  to: string,
+   *  title: string|null,
+   *  firstWeek?: "numerator"|"denominator"
+   * }} entry
+   * @returns {Promise<Record<string, any>>} stored entry with `id`
+   */
+  async insertEntry(entry) {
+    const now = new Date();
+    const doc = { ...entry, createdAt: now, updatedAt: now };
+    const result = await this.collection.insertOne(doc);
+    return toEntry({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * Delete one calendar entry.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} true when an entry was deleted
+   */
+  async deleteEntry(id) {
+    if (!ObjectId.isValid(id)) return false;
+    const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = { AcademicCalendarRepository };
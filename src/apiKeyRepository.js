@@ -0,0 +1,79 @@
+const { ObjectId } = require("mongodb");
+
+function toDocument(doc) {
+  const { _id, keyHash, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
+class ApiKeyRepository {
+  /**
+   * @param {import("mongodb").Db} db
+   */
+  constructor(db) {
+    this.collection = db.collection("apiKeys");
+  }
+
+  /**
+   * Ensure indexes for key lookup by hash.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this.collection.createIndex({ keyHash: 1 }, { name: "key_hash_unique", unique: true });
+    await this.collection.createIndex({ createdAt: -1 }, { name: "created_at_desc" });
+  }
+
+  /**
+   * @param {Record<string, any>} apiKey record with `keyHash`, never the key itself
+   * @returns {Promise<Record<string, any>>} stored key without the hash
+   */
+  async insertKey(apiKey) {
+    const doc = { ...apiKey, createdAt: new Date(), lastUsedAt: null, revokedAt: null };
+    const result = await this.collection.insertOne(doc);
+    return toDocument({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * @param {string} keyHash
+   * @returns {Promise<Record<string, any>|null>} key that is not revoked
+   */
+  async findActiveByHash(keyHash) {
+    const doc = await this.collection.findOne({ keyHash, revokedAt: null });
+    return doc ? toDocument(doc) : null;
+  }
+
+  /**
+   * @returns {Promise<Array<Record<string, any>>>} all keys without hashes, newest first
+   */
+  async listKeys() {
+    const docs = await this.collection.find({}).sort({ createdAt: -1 }).toArray();
+    return docs.map(toDocument);
+  }
+
+  /**
+   * Revoke a key by id or by its public prefix.
+   *
+   * @param {string} idOrPrefix
+   * @returns {Promise<Record<string, any>|null>} revoked key, null when no active key matches
+   */
+  async revokeKey(idOrPrefix) {
+    const query = ObjectId.isValid(idOrPrefix) ? { _id: new ObjectId(idOrPrefix) } : { prefix: idOrPrefix };
+    const doc = await this.collection.findOneAndUpdate(
+      { ...query, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    return doc ? toDocument(doc) : null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Date} usedAt
+   * @returns {Promise<void>}
+   */
+  async touchKey(id, usedAt) {
+    await this.collection.updateOne({ _id: new ObjectId(id) }, { $set: { lastUsedAt: usedAt } });
+  }
+}
+
+module.exports = { ApiKeyRepository };
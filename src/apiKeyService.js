@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+
+// `admin` grants every other scope as well.
+const API_KEY_SCOPES = ["schedule:read", "sync:trigger", "admin"];
+const KEY_PREFIX = "oma_";
+// Public part of a key kept in plain text, so keys can be told apart and revoked.
+const PREFIX_LENGTH = KEY_PREFIX.length + 8;
+// lastUsedAt is written at most once per this interval per key.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function headerValue(req, name) {
+  const value = req.headers[name];
+  if (Array.isArray(value)) return value[0];
+  return value;
+}
+
+/**
+ * Read the key from `Authorization: Bearer <key>` or `X-API-Key`, and from the `key` query param when allowed.
+ *
+ * @param {import("express").Request} req
+ * @param {{allowQuery?: boolean}} [options]
+ * @returns {string|null}
+ */
+function extractApiKey(req, { allowQuery = false } = {}) {
+  const authorization = String(headerValue(req, "authorization") || "");
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  const header = String(headerValue(req, "x-api-key") || "").trim();
+  if (header) return header;
+  if (allowQuery && typeof req.query?.key === "string") return req.query.key.trim() || null;
+  return null;
+}
+
+/**
+ * @param {Record<string, any>} apiKey
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(apiKey, scope) {
+  const scopes = apiKey?.scopes || [];
+  return scopes.includes("admin") || scopes.includes(scope);
+}
+
+class ApiKeyService {
+  /**
+   * @param {{apiKeyRepository: import("./apiKeyRepository").ApiKeyRepository, logger?: any, enabled?: boolean, readRequiresKey?: boolean}} deps
+   */
+  constructor({ apiKeyRepository, logger = null, enabled = true, readRequiresKey = false }) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.logger = logger;
+    this.enabled = enabled;
+    this.readRequiresKey = readRequiresKey;
+  }
+
+  /**
+   * Create a key. The plain key is returned only here; MongoDB keeps its SHA-256 hash.
+   *
+   * @param {{name?: string, scopes?: string[]}} input
+   * @returns {Promise<{ok: true, key: string, apiKey: Record<string, any>}|{ok: false, error: string}>}
+   */
+  async issueKey({ name, scopes } = {}) {
+    const normalizedName = String(name || "").trim();
+    if (!normalizedName) return { ok: false, error: "name is required" };
+
+    const normalizedScopes = Array.from(new Set((scopes || []).map((scope) => String(scope).trim())));
+    if (!normalizedScopes.length) return { ok: false, error: "at least one scope is required" };
+    const unknown = normalizedScopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length) {
+      return {
+        ok: false,
+        error: `unknown scopes: ${unknown.join(", ")}; allowed: ${API_KEY_SCOPES.join(", ")}`
+      };
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const apiKey = await this.apiKeyRepository.insertKey({
+      name: normalizedName,
+      prefix: key.slice(0, PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: normalizedScopes
+    });
+    this.logger?.info("API key issued", { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes });
+    return { ok: true, key, apiKey };
+  }
+
+  /**
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listKeys() {
+    return this.apiKeyRepository.listKeys();
+  }
+
+  /**
+   * @param {string} idOrPrefix
+   * @returns {Promise<Record<string, any>|null>} revoked key, null when nothing matched
+   */
+  async revokeKey(idOrPrefix) {
+    const apiKey = await this.apiKeyRepository.revokeKey(String(idOrPrefix || "").trim());
+    if (apiKey) this.logger?.info("API key revoked", { id: apiKey.id, name: apiKey.name });
+    return apiKey;
+  }
+
+  /**
+   * Resolve a plain key to its active record and record the use.
+   *
+   * @param {string} key
+   * @returns {Promise<Record<string, any>|null>}
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+    const apiKey = await this.apiKeyRepository.findActiveByHash(hashKey(key));
+    if (!apiKey) return null;
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) >= TOUCH_INTERVAL_MS) {
+      // Not awaited: a slow write must not delay the request.
+      this.apiKeyRepository.touchKey(apiKey.id, now).catch((error) => {
+        this.logger?.warn("API key last-used update failed", { id: apiKey.id, error: error.message });
+      });
+    }
+    return apiKey;
+  }
+
+  /**
+   * Express middleware allowing requests whose key has the scope. A presented key is always checked;
+   * `schedule:read` routes stay open without a key unless `readRequiresKey` is set.
+   * `allowQueryKey` also accepts `?key=`, for clients that cannot send headers (calendar apps).
+   *
+   * @param {string} scope
+   * @param {{allowQueryKey?: boolean}} [options]
+   * @returns {import("express").RequestHandler}
+   */
+  requireScope(scope, { allowQueryKey = false } = {}) {
+    const optional = scope === "schedule:read" && !this.readRequiresKey;
+
+    return async (req, res, next) => {
+      if (!this.enabled) {
+        next();
+        return;
+      }
+
+      const key = extractApiKey(req, { allowQuery: allowQueryKey });
+      if (!key) {
+        if (optional) {
+          next();
+          return;
+        }
+        res.status(401).json({ ok: false, code: "unauthorized", error: "API key is required" });
+        return;
+      }
+
+      try {
+        const apiKey = await this.authenticate(key);
+        if (!apiKey) {
+          res.status(401).json({ ok: false, code: "unauthorized", error: "invalid API key" });
+          return;
+        }
+        if (!hasScope(apiKey, scope)) {
+          res.status(403).json({ ok: false, code: "forbidden", error: `API key lacks scope: ${scope}` });
+          return;
+        }
+        req.apiKey = apiKey;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = { ApiKeyService, API_KEY_SCOPES, hasScope, extractApiKey };
@@ -0,0 +1,54 @@
+const config = require("./config");
+const { connectMongo } = require("./db");
+const { ApiKeyRepository } = require("./apiKeyRepository");
+const { ApiKeyService } = require("./apiKeyService");
+
+// CLI entry point to manage HTTP API keys.
+// Usage: node src/apiKeys.js list | issue <name> <scope[,scope...]> | revoke <id|prefix>
+(async () => {
+  const [command = "list", ...args] = process.argv.slice(2);
+  const client = await connectMongo(config.mongoUri);
+
+  try {
+    const db = client.db();
+    const apiKeyRepository = new ApiKeyRepository(db);
+    await apiKeyRepository.ensureIndexes();
+    const apiKeyService = new ApiKeyService({ apiKeyRepository });
+
+    if (command === "list") {
+      const keys = await apiKeyService.listKeys();
+      console.log(JSON.stringify({ count: keys.length, keys }, null, 2));
+      return;
+    }
+
+    if (command === "issue") {
+      const [name, scopes] = args;
+      if (!name || !scopes) {
+        throw new Error("Usage: node src/apiKeys.js issue <name> <scope[,scope...]>");
+      }
+      const result = await apiKeyService.issueKey({ name, scopes: scopes.split(",") });
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exitCode = 1;
+      else console.error("Store the key now: it cannot be shown again.");
+      return;
+    }
+
+    if (command === "revoke") {
+      const [idOrPrefix] = args;
+      if (!idOrPrefix) {
+        throw new Error("Usage: node src/apiKeys.js revoke <id|prefix>");
+      }
+      const apiKey = await apiKeyService.revokeKey(idOrPrefix);
+      const result = apiKey ? { ok: true, apiKey } : { ok: false, error: "active key not found" };
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exitCode = 1;
+      return;
+    }
+
+    throw new Error(
+      `Unknown command: ${command}. Use "list", "issue <name> <scopes>" or "revoke <id|prefix>".`
+    );
+  } finally {
+    await client.close();
+  }
+})();
@@ -0,0 +1,464 @@
+const { isIsoDate } = require("./dateUtils");
+
+const DEFAULT_LESSON_START_TIMES = {
+  1: "08:00",
+  2: "10:00",
+  3: "12:00",
+  4: "14:00",
+  5: "16:00",
+  6: "17:50"
+};
+
+function parseLessonStartTimes(value) {
+  if (!value) return { ...DEFAULT_LESSON_START_TIMES };
+
+  const map = {};
+  String(value)
+    .split(",")
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .forEach((chunk) => {
+      const [left, right] = chunk.split("=");
+      const lessonNumber = Number.parseInt(String(left || "").trim(), 10);
+      const hhmm = String(right || "").trim();
+      if (!Number.isFinite(lessonNumber)) return;
+      if (!/^\d{2}:\d{2}$/.test(hhmm)) return;
+      map[lessonNumber] = hhmm;
+    });
+
+  return Object.keys(map).length > 0 ? map : { ...DEFAULT_LESSON_START_TIMES };
+}
+
+function hhmmToMinutes(hhmm) {
+  const match = String(hhmm || "").match(/^(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = Number.parseInt(match[1], 10);
+  const minutes = Number.parseInt(match[2], 10);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function minutesToHhmm(totalMinutes) {
+  const minutesInDay = 24 * 60;
+  const normalized = ((totalMinutes % minutesInDay) + minutesInDay) % minutesInDay;
+  const hours = Math.floor(normalized / 60);
+  const minutes = normalized % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Normalize bell options: parse start times and apply duration defaults.
+ *
+ * @param {{lessonStartTimes?: string|Record<number, string>, lessonPartMinutes?: number, midLessonBreakMinutes?: number, betweenLessonsBreakMinutes?: number}} [options]
+ * @returns {{lessonStartTimes: Record<number, string>, lessonPartMinutes: number, midLessonBreakMinutes: number, betweenLessonsBreakMinutes: number}}
+ */
+function normalizeBellOptions(options = {}) {
+  const {
+    lessonStartTimes,
+    lessonPartMinutes,
+    midLessonBreakMinutes,
+    betweenLessonsBreakMinutes
+  } = options;
+
+  return {
+    lessonStartTimes:
+      lessonStartTimes && typeof lessonStartTimes === "object"
+        ? lessonStartTimes
+        : parseLessonStartTimes(lessonStartTimes),
+    lessonPartMinutes:
+      Number.isFinite(lessonPartMinutes) && lessonPartMinutes > 0 ? lessonPartMinutes : 45,
+    midLessonBreakMinutes:
+      Number.isFinite(midLessonBreakMinutes) && midLessonBreakMinutes >= 0 ? midLessonBreakMinutes : 10,
+    betweenLessonsBreakMinutes:
+      Number.isFinite(betweenLessonsBreakMinutes) && betweenLessonsBreakMinutes >= 0
+        ? betweenLessonsBreakMinutes
+        : 20
+  };
+}
+
+/**
+ * Get lesson start/end time by lesson number.
+ * Start comes from `REMINDER_LESSON_START_TIMES` when the lesson is listed there; otherwise it is
+ * derived from the nearest earlier listed lesson plus `BETWEEN_LESSONS_BREAK_MINUTES` after each lesson.
+ * Duration: `LESSON_PART_MINUTES + MID_LESSON_BREAK_MINUTES + LESSON_PART_MINUTES`.
+ *
+ * @param {number|string} lessonNumber
+ * @param {ReturnType<typeof normalizeBellOptions>} bells
+ * @returns {{start: string, end: string}|null}
+ */
+function getLessonTimes(lessonNumber, bells) {
+  const lessonNo = Number.parseInt(lessonNumber, 10);
+  if (!Number.isFinite(lessonNo) || lessonNo < 1) return null;
+
+  const lessonDurationMinutes =
+    bells.lessonPartMinutes + bells.midLessonBreakMinutes + bells.lessonPartMinutes;
+  const stepMinutes = lessonDurationMinutes + bells.betweenLessonsBreakMinutes;
+
+  let anchorNumber = 1;
+  let anchorStart = hhmmToMinutes("08:00");
+  for (let candidate = lessonNo; candidate >= 1; candidate -= 1) {
+    const configured = hhmmToMinutes(bells.lessonStartTimes[candidate]);
+    if (configured !== null) {
+      anchorNumber = candidate;
+      anchorStart = configured;
+      break;
+    }
+  }
+
+  const start = anchorStart + (lessonNo - anchorNumber) * stepMinutes;
+  const end = start + lessonDurationMinutes;
+  return { start: minutesToHhmm(start), end: minutesToHhmm(end) };
+}
+
+/**
+ * Get UTC offset of a timezone at the given instant, in minutes.
+ *
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+function getTimezoneOffsetMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(date);
+
+  const byType = {};
+  parts.forEach((part) => {
+    byType[part.type] = part.value;
+  });
+
+  const asUtc = Date.UTC(
+    Number(byType.year),
+    Number(byType.month) - 1,
+    Number(byType.day),
+    Number(byType.hour),
+    Number(byType.minute),
+    Number(byType.second)
+  );
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Convert local date + `HH:MM` in a timezone to an absolute Date.
+ *
+ * @param {string} isoDate
+ * @param {string} hhmm
+ * @param {string} timezone
+ * @returns {Date|null}
+ */
+function zonedTimeToDate(isoDate, hhmm, timezone) {
+  const naive = new Date(`${isoDate}T${hhmm}:00Z`);
+  if (Number.isNaN(naive.getTime())) return null;
+  const offset = getTimezoneOffsetMinutes(naive, timezone);
+  return new Date(naive.getTime() - offset * 60000);
+}
+
+const WEEKDAY_KEYS = ["1", "2", "3", "4", "5", "6", "7"];
+
+/**
+ * ISO weekday of a date: 1 = Monday ... 7 = Sunday.
+ *
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function getIsoWeekday(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return String(day === 0 ? 7 : day);
+}
+
+/**
+ * Validate lessons of a custom bell schedule.
+ *
+ * @param {unknown} input
+ * @returns {{ok: true, lessons: Array<{lessonNumber: number, start: string, end: string}>}|{ok: false, error: string}}
+ */
+function normalizeBellLessons(input) {
+  if (!Array.isArray(input) || !input.length) {
+    return { ok: false, error: "lessons must be a non-empty array" };
+  }
+
+  const seen = new Set();
+  const lessons = [];
+  for (const item of input) {
+    const lessonNumber = Number.parseInt(item?.lessonNumber, 10);
+    if (!Number.isFinite(lessonNumber) || lessonNumber < 1) {
+      return { ok: false, error: "lessonNumber must be a positive integer" };
+    }
+    if (seen.has(lessonNumber)) return { ok: false, error: `duplicate lessonNumber: ${lessonNumber}` };
+    seen.add(lessonNumber);
+
+    const start = String(item?.start || "").trim();
+    const end = String(item?.end || "").trim();
+    const startMinutes = hhmmToMinutes(start);
+    const endMinutes = hhmmToMinutes(end);
+    if (startMinutes === null || endMinutes === null) {
+      return { ok: false, error: `lesson ${lessonNumber}: start and end must be in HH:MM format` };
+    }
+    if (endMinutes <= startMinutes) {
+      return { ok: false, error: `lesson ${lessonNumber}: end must be later than start` };
+    }
+
+    lessons.push({ lessonNumber, start, end });
+  }
+
+  return { ok: true, lessons: lessons.sort((a, b) => a.lessonNumber - b.lessonNumber) };
+}
+
+class BellSchedule {
+  /**
+   * Default bells come from env; weekday templates and date overrides are loaded from MongoDB
+   * into memory by `refresh()`, so lookups stay synchronous.
+   *
+   * @param {{
+   *  timezone: string,
+   *  repository?: import("./bellScheduleRepository").BellScheduleRepository|null,
+   *  logger?: any,
+   *  lessonStartTimes?: string|Record<number, string>,
+   *  lessonPartMinutes?: number,
+   *  midLessonBreakMinutes?: number,
+   *  betweenLessonsBreakMinutes?: number
+   * }} options
+   */
+  constructor({ timezone, repository = null, logger = null, ...options }) {
+    this.timezone = timezone;
+    this.repository = repository;
+    this.logger = logger;
+    this.bells = normalizeBellOptions(options);
+    /** @type {Map<string, Record<string, any>>} */
+    this.weekdayTemplates = new Map();
+    /** @type {Map<string, Record<string, any>>} */
+    this.dateOverrides = new Map();
+  }
+
+  /**
+   * Reload weekday templates and date overrides from storage.
+   *
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.repository) return;
+
+    const schedules = await this.repository.listSchedules();
+    const weekdayTemplates = new Map();
+    const dateOverrides = new Map();
+    schedules.forEach((schedule) => {
+      const target = schedule.scope === "date" ? dateOverrides : weekdayTemplates;
+      target.set(schedule.key, schedule);
+    });
+
+    this.weekdayTemplates = weekdayTemplates;
+    this.dateOverrides = dateOverrides;
+  }
+
+  /**
+   * Find a custom schedule for a date: date override first, then weekday template.
+   *
+   * @param {string|null} isoDate
+   * @returns {{source: "date"|"weekday", schedule: Record<string, any>}|null}
+   */
+  getCustomSchedule(isoDate) {
+    if (!isoDate || !isIsoDate(isoDate)) return null;
+
+    const override = this.dateOverrides.get(isoDate);
+    if (override) return { source: "date", schedule: override };
+
+    const template = this.weekdayTemplates.get(getIsoWeekday(isoDate));
+    if (template) return { source: "weekday", schedule: template };
+
+    return null;
+  }
+
+  /**
+   * Lesson numbers of a day: from 1 up to the last lesson of the effective schedule.
+   *
+   * @param {string|null} [isoDate]
+   * @returns {number[]}
+   */
+  getLessonNumbers(isoDate = null) {
+    const custom = this.getCustomSchedule(isoDate);
+    const configured = custom
+      ? custom.schedule.lessons.map((lesson) => lesson.lessonNumber)
+      : Object.keys(this.bells.lessonStartTimes)
+          .map((value) => Number.parseInt(value, 10))
+          .filter((value) => Number.isFinite(value) && value > 0);
+    const maxLesson = configured.length ? Math.max(...configured) : 6;
+    return Array.from({ length: maxLesson }, (_, index) => index + 1);
+  }
+
+  /**
+   * Get lesson times for a date. Lessons missing from a custom schedule follow its
+   * nearest earlier lesson with default duration and breaks.
+   *
+   * @param {number|string} lessonNumber
+   * @param {string|null} [isoDate]
+   * @returns {{start: string, end: string}|null}
+   */
+  getLessonTimes(lessonNumber, isoDate = null) {
+    const custom = this.getCustomSchedule(isoDate);
+    if (!custom) return getLessonTimes(lessonNumber, this.bells);
+
+    const lessonNo = Number.parseInt(lessonNumber, 10);
+    if (!Number.isFinite(lessonNo) || lessonNo < 1) return null;
+
+    const exact = custom.schedule.lessons.find((lesson) => lesson.lessonNumber === lessonNo);
+    if (exact) return { start: exact.start, end: exact.end };
+
+    const anchor = custom.schedule.lessons
+      .filter((lesson) => lesson.lessonNumber < lessonNo)
+      .sort((a, b) => b.lessonNumber - a.lessonNumber)[0];
+    if (!anchor) return getLessonTimes(lessonNumber, this.bells);
+
+    const lessonDurationMinutes =
+      this.bells.lessonPartMinutes + this.bells.midLessonBreakMinutes + this.bells.lessonPartMinutes;
+    const anchorEnd = hhmmToMinutes(anchor.end);
+    const start =
+      anchorEnd +
+      this.bells.betweenLessonsBreakMinutes +
+      (lessonNo - anchor.lessonNumber - 1) * (lessonDurationMinutes + this.bells.betweenLessonsBreakMinutes);
+    return { start: minutesToHhmm(start), end: minutesToHhmm(start + lessonDurationMinutes) };
+  }
+
+  /**
+   * Resolve absolute start/end of a lesson on a date in the schedule timezone.
+   *
+   * @param {string} isoDate
+   * @param {number|string} lessonNumber
+   * @returns {{startsAt: Date, endsAt: Date}|null}
+   */
+  getLessonInterval(isoDate, lessonNumber) {
+    const times = this.getLessonTimes(lessonNumber, isoDate);
+    if (!times) return null;
+
+    const startsAt = zonedTimeToDate(isoDate, times.start, this.timezone);
+    const endsAt = zonedTimeToDate(isoDate, times.end, this.timezone);
+    if (!startsAt || !endsAt) return null;
+    // Lessons crossing midnight are not expected, but keep the interval positive.
+    if (endsAt <= startsAt) endsAt.setUTCDate(endsAt.getUTCDate() + 1);
+    return { startsAt, endsAt };
+  }
+
+  /**
+   * Add `startsAt`/`endsAt` ISO datetimes to a lesson row.
+   *
+   * @param {Record<string, any>} lesson
+   * @returns {Record<string, any>}
+   */
+  withLessonTimes(lesson) {
+    const interval = this.getLessonInterval(lesson.date, lesson.lessonNumber);
+    return {
+      ...lesson,
+      startsAt: interval ? interval.startsAt.toISOString() : null,
+      endsAt: interval ? interval.endsAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Describe bells for API consumers. With a date, the effective schedule of that date is used
+   * and each lesson also gets `startsAt`/`endsAt`.
+   *
+   * @param {string|null} [isoDate]
+   * @returns {Record<string, any>|null} null when the date is invalid
+   */
+  describe(isoDate = null) {
+    if (isoDate && !isIsoDate(isoDate)) return null;
+
+    const custom = this.getCustomSchedule(isoDate);
+    return {
+      timezone: this.timezone,
+      date: isoDate || null,
+      source: custom ? custom.source : "default",
+      note: custom?.schedule.note || null,
+      lessonPartMinutes: this.bells.lessonPartMinutes,
+      midLessonBreakMinutes: this.bells.midLessonBreakMinutes,
+      betweenLessonsBreakMinutes: this.bells.betweenLessonsBreakMinutes,
+      lessons: this.getLessonNumbers(isoDate).map((lessonNumber) => {
+        const row = { lessonNumber, ...this.getLessonTimes(lessonNumber, isoDate) };
+        return isoDate ? this.withLessonTimes({ ...row, date: isoDate }) : row;
+      })
+    };
+  }
+
+  /**
+   * List stored weekday templates and date overrides.
+   *
+   * @returns {{weekdays: Array<Record<string, any>>, dates: Array<Record<string, any>>}}
+   */
+  listCustomSchedules() {
+    return {
+      weekdays: Array.from(this.weekdayTemplates.values()),
+      dates: Array.from(this.dateOverrides.values()).sort((a, b) => a.key.localeCompare(b.key))
+    };
+  }
+
+  /**
+   * Validate and store a weekday template (`1` = Monday ... `7` = Sunday) or a date override.
+   *
+   * @param {"weekday"|"date"} scope
+   * @param {string} key
+   * @param {{lessons?: unknown, note?: unknown}} body
+   * @returns {Promise<{ok: true, schedule: Record<string, any>}|{ok: false, error: string}>}
+   */
+  async saveCustomSchedule(scope, key, body) {
+    if (!this.repository) return { ok: false, error: "bell schedule storage is not configured" };
+    if (scope === "weekday" && !WEEKDAY_KEYS.includes(key)) {
+      return { ok: false, error: "weekday must be 1 (Monday) ... 7 (Sunday)" };
+    }
+    if (scope === "date" && !isIsoDate(key)) {
+      return { ok: false, error: "date must be in YYYY-MM-DD format" };
+    }
+
+    const normalized = normalizeBellLessons(body?.lessons);
+    if (!normalized.ok) return normalized;
+
+    const schedule = {
+      scope,
+      key,
+      lessons: normalized.lessons,
+      note: body?.note ? String(body.note).trim() : null
+    };
+    await this.repository.upsertSchedule(schedule);
+    await this.refresh();
+    this.logger?.info("Bell schedule saved", { scope, key, lessons: schedule.lessons.length });
+    return { ok: true, schedule };
+  }
+
+  /**
+   * Delete a weekday template or date override.
+   *
+   * @param {"weekday"|"date"} scope
+   * @param {string} key
+   * @returns {Promise<boolean>} false when nothing was stored under the key
+   */
+  async deleteCustomSchedule(scope, key) {
+    if (!this.repository) return false;
+
+    const deleted = await this.repository.deleteSchedule(scope, key);
+    if (deleted) {
+      await this.refresh();
+      this.logger?.info("Bell schedule deleted", { scope, key });
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  BellSchedule,
+  normalizeBellLessons,
+  getIsoWeekday,
+  DEFAULT_LESSON_START_TIMES,
+  parseLessonStartTimes,
+  hhmmToMinutes,
+  minutesToHhmm,
+  normalizeBellOptions,
+  getLessonTimes,
+  getTimezoneOffsetMinutes,
+  zonedTimeToDate
+};
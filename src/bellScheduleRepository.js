@@ -0,0 +1,69 @@
+class BellScheduleRepository {
+  /**
+   * @param {import("mongodb").Db} db
+   */
+  constructor(db) {
+    this.collection = db.collection("bellSchedules");
+  }
+
+  /**
+   * Ensure indexes for bell schedule templates and overrides.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this.collection.createIndex(
+      { scope: 1, key: 1 },
+      { unique: true, name: "uniq_bell_schedule_scope_key" }
+    );
+  }
+
+  /**
+   * Read all weekday templates and date overrides.
+   *
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listSchedules() {
+    return this.collection
+      .find({}, { projection: { _id: 0 } })
+      .sort({ scope: 1, key: 1 })
+      .toArray();
+  }
+
+  /**
+   * Create or replace one bell schedule.
+   *
+   * @param {{
+   *  scope: "weekday"|"date",
+   *  key: string,
+   *  lessons: Array<{lessonNumber: number, start: string, end: string}>,
+   *  note?: string|null
+   * }} schedule
+   * @returns {Promise<void>}
+   */
+  async upsertSchedule({ scope, key, lessons, note = null }) {
+    const now = new Date();
+    await this.collection.updateOne(
+      { scope, key },
+      {
+        $set: { scope, key, lessons, note, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Delete one bell schedule.
+   *
+   * @param {"weekday"|"date"} scope
+   * @param {string} key
+   * @returns {Promise<boolean>} true when a schedule was deleted
+   */
+  async deleteSchedule(scope, key) {
+    const result = await this.collection.deleteOne({ scope, key });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = { BellScheduleRepository };
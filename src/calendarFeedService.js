@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+
+const { buildCalendar } = require("./icalendar");
+
+function isTeacherPageLesson(lesson) {
+  return String(lesson.groupCode || "").startsWith("tp:");
+}
+
+function stableUid(parts) {
+  const hash = crypto.createHash("sha1").update(parts.join("|")).digest("hex").slice(0, 24);
+  return `${hash}@omacademy-schedule`;
+}
+
+/**
+ * Drop teacher-page rows when a group-page row already covers the same slot.
+ *
+ * @param {Array<Record<string, any>>} lessons
+ * @returns {Array<Record<string, any>>}
+ */
+function dropTeacherPageDuplicates(lessons) {
+  const groupSlots = new Set(
+    lessons
+      .filter((lesson) => !isTeacherPageLesson(lesson))
+      .map((lesson) => `${lesson.date}|${lesson.lessonNumber}`)
+  );
+
+  return lessons.filter(
+    (lesson) => !isTeacherPageLesson(lesson) || !groupSlots.has(`${lesson.date}|${lesson.lessonNumber}`)
+  );
+}
+
+class CalendarFeedService {
+  /**
+   * @param {{
+   *  scheduleRepository: any,
+   *  teacherScheduleService: any,
+   *  bellSchedule: import("./bellSchedule").BellSchedule
+   * }} deps
+   */
+  constructor({
+    scheduleRepository,
+    teacherScheduleService,
+    bellSchedule
+  }) {
+    this.scheduleRepository = scheduleRepository;
+    this.teacherScheduleService = teacherScheduleService;
+    this.bellSchedule = bellSchedule;
+  }
+
+  /**
+   * Build a group feed by group code.
+   *
+   * @param {string} code
+   * @returns {Promise<{name: string, ics: string}|null>} null when the group is unknown
+   */
+  async buildGroupFeed(code) {
+    const groups = await this.scheduleRepository.getActiveGroups();
+    const group = groups.find((item) => item.code === String(code));
+    if (!group) return null;
+
+    const lessons = await this.scheduleRepository.getActiveLessons({ groupCode: group.code });
+    const events = lessons.map((lesson) =>
+      this.toEvent(lesson, {
+        uid: stableUid(["group", group.code, lesson.date, lesson.lessonNumber, lesson.columnIndex]),
+        summary: lesson.subject,
+        description: [`Пара ${lesson.lessonNumber}`, `Преподаватель: ${lesson.teacher || "-"}`]
+      })
+    );
+
+    return this.render(`${group.name} — расписание`, events);
+  }
+
+  /**
+   * Build a teacher feed by directory key (e.g. `cp:192`) or teacher match key.
+   * Lessons are the same merged rows the bot shows.
+   *
+   * @param {string} key
+   * @returns {Promise<{name: string, ics: string}|null>} null when the teacher is unknown
+   */
+  async buildTeacherFeed(key) {
+    const teacher = await this.teacherScheduleService.resolveTeacher(key);
+    if (!teacher) return null;
+
+    const lessons = await this.teacherScheduleService.getTeacherLessons(teacher);
+    const events = lessons.map((lesson) =>
+      this.toEvent(lesson, {
+        // Merged rows are one per slot, room and subject; column indexes of different groups repeat.
+        uid: stableUid([
+          "teacher",
+          teacher.key,
+          lesson.date,
+          lesson.lessonNumber,
+          String(lesson.room || "-"),
+          String(lesson.subject || "").toLowerCase()
+        ]),
+        summary: lesson.groupName ? `${lesson.subject} (${lesson.groupName})` : lesson.subject,
+        description: [`Пара ${lesson.lessonNumber}`, `Группа: ${lesson.groupName || "-"}`]
+      })
+    );
+
+    return this.render(`${teacher.name} — расписание`, events);
+  }
+
+  /**
+   * Build a room feed by exact room value.
+   *
+   * @param {string} room
+   * @returns {Promise<{name: string, ics: string}|null>} null when the room has no lessons
+   */
+  async buildRoomFeed(room) {
+    const lessons = await this.scheduleRepository.getActiveLessons({ room });
+    if (!lessons.length) return null;
+
+    const events = dropTeacherPageDuplicates(lessons).map((lesson) =>
+      this.toEvent(lesson, {
+        uid: stableUid([
+          "room",
+          room,
+          lesson.date,
+          lesson.lessonNumber,
+          lesson.groupCode,
+          lesson.columnIndex
+        ]),
+        summary: lesson.groupName ? `${lesson.subject} (${lesson.groupName})` : lesson.subject,
+        description: [
+          `Пара ${lesson.lessonNumber}`,
+          `Группа: ${lesson.groupName || "-"}`,
+          `Преподаватель: ${lesson.teacher || "-"}`
+        ]
+      })
+    );
+
+    return this.render(`Аудитория ${room} — расписание`, events);
+  }
+
+  /**
+   * Convert a lesson into a calendar event using the bot's lesson-time rules.
+   *
+   * @param {Record<string, any>} lesson
+   * @param {{uid: string, summary: string, description: string[]}} fields
+   * @returns {import("./icalendar").CalendarEvent|null}
+   */
+  toEvent(lesson, { uid, summary, description }) {
+    const interval = this.bellSchedule.getLessonInterval(lesson.date, lesson.lessonNumber);
+    if (!interval) return null;
+
+    return {
+      uid,
+      start: interval.startsAt,
+      end: interval.endsAt,
+      summary,
+      location: lesson.room || "",
+      description: description.join("\n")
+    };
+  }
+
+  /**
+   * Serialize feed events with snapshot metadata.
+   *
+   * @param {string} name
+   * @param {Array<import("./icalendar").CalendarEvent|null>} events
+   * @returns {Promise<{name: string, ics: string}>}
+   */
+  async render(name, events) {
+    const meta = await this.scheduleRepository.getActiveSyncMeta();
+    const ics = buildCalendar({
+      name,
+      timezone: this.bellSchedule.timezone,
+      updatedAt: meta?.updatedAt || null,
+      events: events.filter(Boolean)
+    });
+    return { name, ics };
+  }
+}
+
+module.exports = { CalendarFeedService };
@@ -0,0 +1,188 @@
+const { MaxApiClient } = require("./max/apiClient");
+const { MaxUserPrefsRepository } = require("./max/userPrefsRepository");
+const { teacherMatchKey } = require("./teacherScheduleService");
+const { getIsoDateInTimezone, shiftIsoDate } = require("./dateUtils");
+
+function toRuDate(isoDate) {
+  const match = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return isoDate;
+  const [, yyyy, mm, dd] = match;
+  return `${dd}.${mm}.${yyyy}`;
+}
+
+function lessonState(value) {
+  if (!value) return "-";
+  return [value.subject, value.room, value.teacher].map((item) => item || "").join("/");
+}
+
+// Keep one message readable; the rest is summarized by count.
+const MAX_CHANGES_PER_MESSAGE = 20;
+
+const FIELD_LABELS = {
+  subject: "предмет",
+  room: "аудитория",
+  teacher: "преподаватель"
+};
+
+class ChangeNotificationService {
+  /**
+   * @param {{
+   *  db: import("mongodb").Db,
+   *  scheduleRepository: any,
+   *  logger: any,
+   *  token: string,
+   *  apiBaseUrl?: string,
+   *  timeoutMs?: number,
+   *  timezone: string,
+   *  daysAhead?: number
+   * }} deps
+   */
+  constructor({ db, scheduleRepository, logger, token, apiBaseUrl, timeoutMs, timezone, daysAhead }) {
+    this.logger = logger;
+    this.scheduleRepository = scheduleRepository;
+    this.timezone = timezone;
+    this.daysAhead = Number.isFinite(daysAhead) && daysAhead >= 0 ? daysAhead : 7;
+
+    this.api = new MaxApiClient({ token, apiBaseUrl, timeoutMs });
+    this.userPrefsRepository = new MaxUserPrefsRepository(db);
+  }
+
+  /**
+   * Notify subscribed users about upcoming lesson changes detected by a sync.
+   *
+   * @param {{syncId: string, changes: Array<Record<string, any>>}} params
+   * @returns {Promise<number>} sent messages count
+   */
+  async notifySyncChanges({ syncId, changes }) {
+    if (!Array.isArray(changes) || !changes.length) return 0;
+
+    const today = getIsoDateInTimezone(this.timezone);
+    const lastDate = shiftIsoDate(today, this.daysAhead);
+    const upcoming = changes.filter((change) => change.date >= today && change.date <= lastDate);
+    if (!upcoming.length) return 0;
+
+    const users = await this.userPrefsRepository.getChangeNotificationSubscribers();
+    if (!users.length) return 0;
+
+    let sentCount = 0;
+    for (const user of users) {
+      try {
+        const sent = await this.processUser({ user, syncId, changes: upcoming });
+        if (sent) sentCount += 1;
+      } catch (error) {
+        this.logger.warn("Change notification failed", {
+          userId: user.userId,
+          error: error.message
+        });
+      }
+    }
+
+    if (sentCount > 0) {
+      this.logger.info("Change notifications sent", { syncId, sentCount });
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Send one message with new changes relevant to the user's group or teacher.
+   *
+   * @param {{user: Record<string, any>, syncId: string, changes: Array<Record<string, any>>}} params
+   * @returns {Promise<boolean>}
+   */
+  async processUser({ user, syncId, changes }) {
+    const userId = String(user.userId || "");
+    if (!userId) return false;
+
+    const role = user.role === "teacher" ? "teacher" : "student";
+    let relevant = [];
+    let targetRef = "";
+    let title = "";
+
+    if (role === "student") {
+      if (!user.preferredGroupCode) return false;
+      targetRef = `group:${user.preferredGroupCode}`;
+      title = user.preferredGroupName || user.preferredGroupCode;
+      relevant = changes.filter((change) => change.groupCode === String(user.preferredGroupCode));
+    } else {
+      const teacherKey = user.preferredTeacherKey || teacherMatchKey(user.preferredTeacherName);
+      if (!teacherKey) return false;
+      targetRef = `teacher:${teacherKey}`;
+      title = user.preferredTeacherName || teacherKey;
+      relevant = changes.filter((change) =>
+        (change.teachers || []).some((teacher) => teacherMatchKey(teacher) === teacherKey)
+      );
+    }
+
+    const accepted = [];
+    for (const change of relevant) {
+      const notificationKey = [
+        userId,
+        change.type,
+        change.date,
+        change.lessonNumber,
+        change.groupCode,
+        lessonState(change.before),
+        lessonState(change.after)
+      ].join("|");
+
+      const isNew = await this.scheduleRepository.registerChangeNotificationSend({
+        notificationKey,
+        userId,
+        role,
+        syncId,
+        date: change.date,
+        lessonNumber: change.lessonNumber,
+        targetRef
+      });
+      if (isNew) accepted.push(change);
+    }
+
+    if (!accepted.length) return false;
+
+    await this.api.sendText({
+      userId,
+      text: this.buildChangesMessage({ role, title, changes: accepted }),
+      format: "markdown"
+    });
+    return true;
+  }
+
+  /**
+   * Build "what changed" message text.
+   *
+   * @param {{role: "student"|"teacher", title: string, changes: Array<Record<string, any>>}} params
+   * @returns {string}
+   */
+  buildChangesMessage({ role, title, changes }) {
+    const lines = changes.slice(0, MAX_CHANGES_PER_MESSAGE).map((change) => {
+      const prefix = `${toRuDate(change.date)}, пара ${change.lessonNumber}`;
+      const group = role === "teacher" ? ` (${change.groupName || change.groupCode})` : "";
+
+      if (change.type === "added") {
+        const lesson = change.after;
+        return `${prefix}${group}: добавлена ${lesson.subject}, ауд. ${lesson.room || "-"}, ${lesson.teacher || "-"}`;
+      }
+
+      if (change.type === "removed") {
+        return `${prefix}${group}: отменена ${change.before.subject}`;
+      }
+
+      const details = change.changedFields
+        .map(
+          (field) =>
+            `${FIELD_LABELS[field] || field}: ${change.before[field] || "-"} → ${change.after[field] || "-"}`
+        )
+        .join("; ");
+      return `${prefix}${group}: ${details}`;
+    });
+
+    if (changes.length > MAX_CHANGES_PER_MESSAGE) {
+      lines.push(`...и еще изменений: ${changes.length - MAX_CHANGES_PER_MESSAGE}`);
+    }
+
+    return [`Изменения в расписании (${title}):`, "", ...lines].join("\n");
+  }
+}
+
+module.exports = { ChangeNotificationService };
@@ -26,6 +26,8 @@ function toList(value) {
 // Centralized application config loaded from environment variables.
 module.exports = {
   port: toInt(process.env.PORT, 3000),
+  logLevel: process.env.LOG_LEVEL || "info",
+  logFormat: process.env.LOG_FORMAT || "text",
   mongoUri: process.env.MONGO_URI || "mongodb://localhost:27017/omacademy_schedule",
   sourceBaseUrl:
     process.env.SOURCE_BASE_URL || "https://omacademy.ru/rasp-new/Website-students/",
@@ -34,6 +36,12 @@ module.exports = {
   runSyncOnStartup: toBool(process.env.RUN_SYNC_ON_STARTUP, true),
   httpTimeoutMs: toInt(process.env.HTTP_TIMEOUT_MS, 20000),
   maxConcurrentRequests: toInt(process.env.MAX_CONCURRENT_REQUESTS, 5),
+  snapshotRetention: toInt(process.env.SNAPSHOT_RETENTION, 3),
+  syncGuardEnabled: toBool(process.env.SYNC_GUARD_ENABLED, true),
+  syncGuardMaxLessonsDropPercent: toInt(process.env.SYNC_GUARD_MAX_LESSONS_DROP_PERCENT, 50),
+  syncGuardMaxGroupsDropPercent: toInt(process.env.SYNC_GUARD_MAX_GROUPS_DROP_PERCENT, 20),
+  syncGuardMinGroups: toInt(process.env.SYNC_GUARD_MIN_GROUPS, 1),
+  syncGuardLookaheadDays: toInt(process.env.SYNC_GUARD_LOOKAHEAD_DAYS, 3),
   maxBotEnabled: toBool(process.env.MAX_BOT_ENABLED, false),
   maxBotToken: process.env.MAX_BOT_TOKEN || "",
   maxApiBaseUrl: process.env.MAX_API_BASE_URL || "https://platform-api.max.ru",
@@ -44,6 +52,30 @@ module.exports = {
   maxAdminUserIds: toList(process.env.MAX_ADMIN_USER_IDS),
   reminderEnabled: toBool(process.env.REMINDER_ENABLED, true),
   reminderCron: process.env.REMINDER_CRON || "* * * * *",
+  changeNotifyEnabled: toBool(process.env.CHANGE_NOTIFY_ENABLED, true),
+  changeNotifyDaysAhead: toInt(process.env.CHANGE_NOTIFY_DAYS_AHEAD, 7),
+  conflictNotifyEnabled: toBool(process.env.CONFLICT_NOTIFY_ENABLED, false),
+  apiAuthEnabled: toBool(process.env.API_AUTH_ENABLED, true),
+  apiReadRequiresKey: toBool(process.env.API_READ_REQUIRES_KEY, false),
+  trustProxyHops: toInt(process.env.TRUST_PROXY_HOPS, 0),
+  rateLimitEnabled: toBool(process.env.RATE_LIMIT_ENABLED, true),
+  rateLimitWindowSeconds: toInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 60),
+  rateLimitMax: toInt(process.env.RATE_LIMIT_MAX, 120),
+  rateLimitRoutes: toList(process.env.RATE_LIMIT_ROUTES || "/api/schedule=60,/api/teachers=60"),
+  responseCacheEnabled: toBool(process.env.RESPONSE_CACHE_ENABLED, true),
+  responseCacheMaxEntries: toInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 500),
+  responseCacheMaxMb: toInt(process.env.RESPONSE_CACHE_MAX_MB, 64),
+  settingsRefreshCron: process.env.SETTINGS_REFRESH_CRON || "*/15 * * * * *",
+  readyTimeoutMs: toInt(process.env.READY_TIMEOUT_MS, 5000),
+  readyMaxSnapshotAgeHours: toInt(process.env.READY_MAX_SNAPSHOT_AGE_HOURS, 36),
+  readyMaxSourceAgeHours: toInt(process.env.READY_MAX_SOURCE_AGE_HOURS, 168),
+  readyMaxSyncRunningMinutes: toInt(process.env.READY_MAX_SYNC_RUNNING_MINUTES, 60),
+  readyCheckMaxApi: toBool(process.env.READY_CHECK_MAX_API, false),
+  webhookTimeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  webhookMaxAttempts: toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 6),
+  webhookRetryBaseSeconds: toInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30),
+  webhookRetryCron: process.env.WEBHOOK_RETRY_CRON || "* * * * *",
+  webhookDeliveryRetentionDays: toInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30),
   reminderLessonStartTimes:
     process.env.REMINDER_LESSON_START_TIMES || "1=08:00,2=10:00,3=12:00,4=14:00,5=16:00,6=17:50",
   lessonPartMinutes: toInt(process.env.LESSON_PART_MINUTES, 45),
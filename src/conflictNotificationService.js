@@ -0,0 +1,125 @@
+const { MaxApiClient } = require("./max/apiClient");
+
+function toRuDate(isoDate) {
+  const match = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return isoDate;
+  const [, yyyy, mm, dd] = match;
+  return `${dd}.${mm}.${yyyy}`;
+}
+
+// Same conflict with different lessons (e.g. a third group joined) is reported again.
+function conflictState(conflict) {
+  return conflict.lessons
+    .map((lesson) => [lesson.groupCode, lesson.subject, lesson.room, lesson.teacher].join("/"))
+    .sort()
+    .join(";");
+}
+
+// Keep one message readable; the rest is summarized by count.
+const MAX_CONFLICTS_PER_MESSAGE = 20;
+
+class ConflictNotificationService {
+  /**
+   * @param {{
+   *  scheduleRepository: any,
+   *  conflictReportService: import("./conflictReportService").ConflictReportService,
+   *  logger: any,
+   *  token: string,
+   *  apiBaseUrl?: string,
+   *  timeoutMs?: number,
+   *  adminUserIds?: Array<string|number>
+   * }} deps
+   */
+  constructor({ scheduleRepository, conflictReportService, logger, token, apiBaseUrl, timeoutMs, adminUserIds }) {
+    this.scheduleRepository = scheduleRepository;
+    this.conflictReportService = conflictReportService;
+    this.logger = logger;
+    this.adminUserIds = (adminUserIds || []).map((id) => String(id)).filter(Boolean);
+
+    this.api = new MaxApiClient({ token, apiBaseUrl, timeoutMs });
+  }
+
+  /**
+   * Send admins conflicts from today onwards they were not notified about yet.
+   *
+   * @param {{syncId: string}} params
+   * @returns {Promise<number>} sent messages count
+   */
+  async notifyNewConflicts({ syncId }) {
+    if (!this.adminUserIds.length) return 0;
+
+    const report = await this.conflictReportService.findConflicts();
+    if (!report.ok || !report.conflicts.length) return 0;
+
+    let sentCount = 0;
+    for (const userId of this.adminUserIds) {
+      try {
+        const sent = await this.processUser({ userId, syncId, conflicts: report.conflicts });
+        if (sent) sentCount += 1;
+      } catch (error) {
+        this.logger.warn("Conflict notification failed", { userId, error: error.message });
+      }
+    }
+
+    if (sentCount > 0) {
+      this.logger.info("Conflict notifications sent", { syncId, sentCount });
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * @param {{userId: string, syncId: string, conflicts: Array<Record<string, any>>}} params
+   * @returns {Promise<boolean>}
+   */
+  async processUser({ userId, syncId, conflicts }) {
+    const accepted = [];
+    for (const conflict of conflicts) {
+      const isNew = await this.scheduleRepository.registerConflictNotificationSend({
+        notificationKey: [userId, conflict.key, conflictState(conflict)].join("|"),
+        userId,
+        syncId,
+        conflictKey: conflict.key,
+        date: conflict.date,
+        lessonNumber: conflict.lessonNumber
+      });
+      if (isNew) accepted.push(conflict);
+    }
+
+    if (!accepted.length) return false;
+
+    await this.api.sendText({
+      userId,
+      text: this.buildConflictsMessage(accepted),
+      format: "markdown"
+    });
+    return true;
+  }
+
+  /**
+   * @param {Array<Record<string, any>>} conflicts
+   * @returns {string}
+   */
+  buildConflictsMessage(conflicts) {
+    const lines = conflicts.slice(0, MAX_CONFLICTS_PER_MESSAGE).map((conflict) => {
+      const prefix = `${toRuDate(conflict.date)}, пара ${conflict.lessonNumber}`;
+      const who =
+        conflict.type === "teacher" ? `преподаватель ${conflict.teacher}` : `аудитория ${conflict.room}`;
+      const details = conflict.lessons
+        .map((lesson) => {
+          const extra = conflict.type === "teacher" ? `ауд. ${lesson.room || "-"}` : lesson.teacher || "-";
+          return `${lesson.groupName || lesson.groupCode} (${lesson.subject}, ${extra})`;
+        })
+        .join("; ");
+      return `${prefix}: ${who} - ${details}`;
+    });
+
+    if (conflicts.length > MAX_CONFLICTS_PER_MESSAGE) {
+      lines.push(`...и еще конфликтов: ${conflicts.length - MAX_CONFLICTS_PER_MESSAGE}`);
+    }
+
+    return ["Конфликты в расписании:", "", ...lines].join("\n");
+  }
+}
+
+module.exports = { ConflictNotificationService };
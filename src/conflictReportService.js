@@ -0,0 +1,137 @@
+const { dedupeTeachers } = require("./teacherScheduleService");
+const { normalizeRoomKey, mergeRoomLessons } = require("./roomService");
+const { isIsoDate, getIsoDateInTimezone } = require("./dateUtils");
+
+const CONFLICT_TYPES = ["teacher", "room"];
+
+function isTeacherPageLesson(lesson) {
+  return String(lesson.groupCode || "").startsWith("tp:");
+}
+
+function groupBySlot(lessons, getKey) {
+  const buckets = new Map();
+  lessons.forEach((lesson) => {
+    const key = getKey(lesson);
+    if (!key) return;
+    const slotKey = `${key}:${lesson.date}:${lesson.lessonNumber}`;
+    if (!buckets.has(slotKey)) {
+      buckets.set(slotKey, { key, date: lesson.date, lessonNumber: lesson.lessonNumber, rows: [] });
+    }
+    buckets.get(slotKey).rows.push(lesson);
+  });
+  return Array.from(buckets.values()).filter((bucket) => bucket.rows.length > 1);
+}
+
+function toConflictLesson(lesson) {
+  return {
+    groupCode: lesson.groupCode,
+    groupName: lesson.groupName,
+    subject: lesson.subject,
+    room: lesson.room || null,
+    teacher: lesson.teacher || null
+  };
+}
+
+class ConflictReportService {
+  /**
+   * @param {{scheduleRepository: any, teacherScheduleService: any, timezone: string}} deps
+   */
+  constructor({ scheduleRepository, teacherScheduleService, timezone }) {
+    this.scheduleRepository = scheduleRepository;
+    this.teacherScheduleService = teacherScheduleService;
+    this.timezone = timezone;
+  }
+
+  /**
+   * Find double bookings in the active schedule (overrides applied).
+   *
+   * - teacher: one teacher's merged lessons (as in the teacher schedule, teacher-page rows included)
+   *   have more than one row in the same slot, i.e. different rooms or subjects
+   * - room: one room hosts different subjects, or one subject with different teachers, in the same slot;
+   *   only group-page rows are checked, teacher-page rows duplicate them
+   *
+   * @param {{date?: string, from?: string, to?: string, type?: string}} [params] defaults to today onwards
+   * @returns {Promise<{ok: true, from: string, to: string|null, conflicts: Array<Record<string, any>>}|{ok: false, error: string}>}
+   */
+  async findConflicts({ date, from, to, type } = {}) {
+    for (const [key, value] of Object.entries({ date, from, to })) {
+      if (value && !isIsoDate(value)) return { ok: false, error: `${key} must be in YYYY-MM-DD format` };
+    }
+    if (date && (from || to)) return { ok: false, error: "use either date or from/to" };
+    if (type && !CONFLICT_TYPES.includes(type)) {
+      return { ok: false, error: `type must be one of: ${CONFLICT_TYPES.join(", ")}` };
+    }
+
+    const rangeFrom = date || from || getIsoDateInTimezone(this.timezone);
+    const rangeTo = date || to || null;
+    if (rangeTo && rangeFrom > rangeTo) return { ok: false, error: "from must not be later than to" };
+
+    const filters = rangeTo ? { from: rangeFrom, to: rangeTo } : { from: rangeFrom };
+    const [directoryTeachers, lessons] = await Promise.all([
+      this.scheduleRepository.getActiveTeachers(),
+      this.scheduleRepository.getActiveLessons(filters)
+    ]);
+    // Teachers missing from the directory are still checked by the names in their lessons.
+    const teachers = dedupeTeachers([
+      ...directoryTeachers,
+      ...lessons.filter((lesson) => lesson.teacher).map((lesson) => ({ name: lesson.teacher }))
+    ]);
+
+    const conflicts = [];
+    if (!type || type === "teacher") conflicts.push(...this.findTeacherConflicts(teachers, lessons));
+    if (!type || type === "room") {
+      conflicts.push(...this.findRoomConflicts(lessons.filter((lesson) => !isTeacherPageLesson(lesson))));
+    }
+    conflicts.sort((a, b) => {
+      if (a.date !== b.date) return a.date.localeCompare(b.date);
+      if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
+      return a.key.localeCompare(b.key);
+    });
+
+    return { ok: true, from: rangeFrom, to: rangeTo, conflicts };
+  }
+
+  /**
+   * @param {Array<{key: string, code?: string|null, name: string}>} teachers
+   * @param {Array<Record<string, any>>} lessons all lessons of the range, teacher-page rows included
+   * @returns {Array<Record<string, any>>}
+   */
+  findTeacherConflicts(teachers, lessons) {
+    return teachers.flatMap((teacher) => {
+      // Parallel groups in one room with one subject are already merged into one row.
+      const merged = this.teacherScheduleService.selectTeacherLessons(teacher, lessons);
+      return groupBySlot(merged, () => teacher.key).map((bucket) => ({
+        key: `teacher:${teacher.key}:${bucket.date}:${bucket.lessonNumber}`,
+        type: "teacher",
+        date: bucket.date,
+        lessonNumber: bucket.lessonNumber,
+        teacher: teacher.name,
+        room: null,
+        lessons: bucket.rows.map(toConflictLesson)
+      }));
+    });
+  }
+
+  /**
+   * @param {Array<Record<string, any>>} lessons
+   * @returns {Array<Record<string, any>>}
+   */
+  findRoomConflicts(lessons) {
+    return groupBySlot(lessons, (lesson) => normalizeRoomKey(lesson.room))
+      .filter((bucket) => {
+        const merged = mergeRoomLessons(bucket.rows);
+        return merged.length > 1 || merged[0].teachers.length > 1;
+      })
+      .map((bucket) => ({
+        key: `room:${bucket.key}:${bucket.date}:${bucket.lessonNumber}`,
+        type: "room",
+        date: bucket.date,
+        lessonNumber: bucket.lessonNumber,
+        teacher: null,
+        room: bucket.rows[0].room,
+        lessons: bucket.rows.map(toConflictLesson)
+      }));
+  }
+}
+
+module.exports = { ConflictReportService, CONFLICT_TYPES };
@@ -0,0 +1,55 @@
+/**
+ * @param {unknown} value
+ * @returns {boolean} true for an existing `YYYY-MM-DD` date
+ */
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * @param {string} timezone IANA timezone, e.g. `Asia/Omsk`
+ * @returns {string} today's date in the timezone
+ */
+function getIsoDateInTimezone(timezone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(new Date());
+}
+
+/**
+ * @param {string} isoDate
+ * @param {number} deltaDays
+ * @returns {string}
+ */
+function shiftIsoDate(isoDate, deltaDays) {
+  const base = new Date(`${isoDate}T00:00:00Z`);
+  base.setUTCDate(base.getUTCDate() + deltaDays);
+  return base.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} fromIso
+ * @param {string} toIso
+ * @returns {number} whole days from `fromIso` to `toIso`, negative when `toIso` is earlier
+ */
+function daysBetween(fromIso, toIso) {
+  const from = new Date(`${fromIso}T00:00:00Z`).getTime();
+  const to = new Date(`${toIso}T00:00:00Z`).getTime();
+  return Math.round((to - from) / 86400000);
+}
+
+/**
+ * @param {string} isoDate
+ * @returns {number} `1` = Monday ... `7` = Sunday
+ */
+function getIsoWeekdayNumber(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+module.exports = { isIsoDate, getIsoDateInTimezone, shiftIsoDate, daysBetween, getIsoWeekdayNumber };
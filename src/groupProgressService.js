@@ -0,0 +1,147 @@
+const { isIsoDate, getIsoDateInTimezone } = require("./dateUtils");
+
+// Without a term, ranges start here so the whole lesson archive is included.
+const ALL_TIME_FROM = "1970-01-01";
+
+function createCounter() {
+  return { pastPairs: 0, upcomingPairs: 0, totalPairs: 0 };
+}
+
+function countPair(counter, isPast) {
+  if (isPast) counter.pastPairs += 1;
+  else counter.upcomingPairs += 1;
+  counter.totalPairs += 1;
+}
+
+function byTotalThenName(nameField) {
+  return (a, b) =>
+    b.totalPairs - a.totalPairs || String(a[nameField] || "").localeCompare(String(b[nameField] || ""), "ru");
+}
+
+/**
+ * Count pairs per subject and per teacher of the subject. Subgroup rows in one slot are one pair
+ * of the subject, but one pair for each of their teachers.
+ *
+ * @param {Array<Record<string, any>>} lessons
+ * @param {string} today lessons before this date are past
+ * @returns {{totals: Record<string, number>, subjects: Array<Record<string, any>>}}
+ */
+function summarizeProgress(lessons, today) {
+  const totals = createCounter();
+  const totalSlots = new Set();
+  const subjects = new Map();
+
+  lessons.forEach((lesson) => {
+    const subjectName = String(lesson.subject || "").trim();
+    if (!subjectName) return;
+
+    const isPast = lesson.date < today;
+    const slot = `${lesson.date}:${lesson.lessonNumber}`;
+    const subjectKey = subjectName.toLowerCase();
+    if (!subjects.has(subjectKey)) {
+      subjects.set(subjectKey, {
+        subject: subjectName,
+        ...createCounter(),
+        slots: new Set(),
+        teachers: new Map()
+      });
+    }
+    const subject = subjects.get(subjectKey);
+
+    if (!totalSlots.has(slot)) {
+      totalSlots.add(slot);
+      countPair(totals, isPast);
+    }
+    if (!subject.slots.has(slot)) {
+      subject.slots.add(slot);
+      countPair(subject, isPast);
+    }
+
+    const teacherName = String(lesson.teacher || "").trim() || null;
+    const teacherKey = (teacherName || "").toLowerCase();
+    if (!subject.teachers.has(teacherKey)) {
+      subject.teachers.set(teacherKey, { teacher: teacherName, ...createCounter(), slots: new Set() });
+    }
+    const teacher = subject.teachers.get(teacherKey);
+    if (!teacher.slots.has(slot)) {
+      teacher.slots.add(slot);
+      countPair(teacher, isPast);
+    }
+  });
+
+  return {
+    totals,
+    subjects: Array.from(subjects.values())
+      .map(({ slots, teachers, ...subject }) => ({
+        ...subject,
+        teachers: Array.from(teachers.values())
+          .map(({ slots: teacherSlots, ...teacher }) => teacher)
+          .sort(byTotalThenName("teacher"))
+      }))
+      .sort(byTotalThenName("subject"))
+  };
+}
+
+class GroupProgressService {
+  /**
+   * @param {{scheduleRepository: any, academicCalendar?: import("./academicCalendar").AcademicCalendar|null, timezone: string}} deps
+   */
+  constructor({ scheduleRepository, academicCalendar = null, timezone }) {
+    this.scheduleRepository = scheduleRepository;
+    this.academicCalendar = academicCalendar;
+    this.timezone = timezone;
+  }
+
+  /**
+   * Validate range params. Defaults to the current term of the academic calendar,
+   * or to all archived and scheduled lessons when no term covers today.
+   *
+   * @param {{from?: string, to?: string}} params
+   * @returns {{ok: true, from: string|null, to: string|null, today: string, term: Record<string, any>|null}|{ok: false, error: string}}
+   */
+  parseParams({ from, to } = {}) {
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && !isIsoDate(value)) return { ok: false, error: `${key} must be in YYYY-MM-DD format` };
+    }
+
+    const today = getIsoDateInTimezone(this.timezone);
+    const term = from || to ? null : this.academicCalendar?.findTerm(today) || null;
+    const rangeFrom = from || term?.from || null;
+    const rangeTo = to || term?.to || null;
+    if (rangeFrom && rangeTo && rangeFrom > rangeTo) return { ok: false, error: "from must not be later than to" };
+
+    return { ok: true, from: rangeFrom, to: rangeTo, today, term };
+  }
+
+  /**
+   * Pairs of each subject a group has had (before today) and has scheduled, broken down by teacher.
+   * Past days come from the lesson archive; active overrides are applied to upcoming lessons.
+   *
+   * @param {string} code group code
+   * @param {{from?: string, to?: string}} [params]
+   * @returns {Promise<{ok: true, group: {code: string, name: string}, from: string|null, to: string|null, term: Record<string, any>|null, totals: Record<string, number>, subjects: Array<Record<string, any>>}|{ok: false, code: "invalid_params"|"not_found", error: string}>}
+   */
+  async getGroupProgress(code, params = {}) {
+    const range = this.parseParams(params);
+    if (!range.ok) return { ...range, code: "invalid_params" };
+
+    const groups = await this.scheduleRepository.getActiveGroups();
+    const group = groups.find((item) => String(item.code) === String(code));
+    if (!group) return { ok: false, code: "not_found", error: "group not found" };
+
+    const filters = { groupCode: String(group.code), from: range.from || ALL_TIME_FROM };
+    if (range.to) filters.to = range.to;
+    const lessons = await this.scheduleRepository.getActiveLessons(filters);
+
+    return {
+      ok: true,
+      group: { code: String(group.code), name: group.name },
+      from: range.from,
+      to: range.to,
+      term: range.term ? { title: range.term.title || null, from: range.term.from, to: range.term.to } : null,
+      ...summarizeProgress(lessons, range.today)
+    };
+  }
+}
+
+module.exports = { GroupProgressService, summarizeProgress };
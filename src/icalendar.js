@@ -0,0 +1,89 @@
+// Minimal RFC 5545 serializer for read-only schedule feeds.
+
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets must be folded with CRLF + space (UTF-8 safe).
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function formatUtcDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid stable identifier, must not change between syncs for the same lesson slot
+ * @property {Date} start
+ * @property {Date} end
+ * @property {string} summary
+ * @property {string} [location]
+ * @property {string} [description]
+ */
+
+/**
+ * Serialize events into an iCalendar (`.ics`) document.
+ *
+ * @param {{name: string, timezone?: string, updatedAt?: Date|null, events: CalendarEvent[]}} params
+ * @returns {string}
+ */
+function buildCalendar({ name, timezone, updatedAt, events }) {
+  const stamp = formatUtcDateTime(updatedAt instanceof Date ? updatedAt : new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//omacademy-schedule-backend//RU",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H"
+  ];
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART:${formatUtcDateTime(event.start)}`,
+      `DTEND:${formatUtcDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+module.exports = { buildCalendar, escapeText };
@@ -1,15 +1,127 @@
-// Small structured logger wrapper with ISO timestamp and level.
-function stamp(level, message, extra) {
-  const time = new Date().toISOString();
-  if (extra === undefined) {
-    console.log(`[${time}] [${level}] ${message}`);
-    return;
+// Structured logger: text or JSON lines, level filtering, child loggers with bound fields and
+// an async context (request ID, sync ID) that follows the code path across awaits.
+const { AsyncLocalStorage } = require("async_hooks");
+
+const config = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return { message: error.message, name: error.name, stack: error.stack };
+}
+
+// Existing call sites pass a plain object, but errors and primitives are accepted as well.
+function normalizeExtra(extra) {
+  if (extra === undefined || extra === null) return {};
+  if (extra instanceof Error) return { error: serializeError(extra) };
+  if (typeof extra === "object" && !Array.isArray(extra)) return extra;
+  return { extra };
+}
+
+function jsonReplacer(key, value) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {{level?: string, format?: "text"|"json", fields?: Record<string, any>, write?: (line: string, fields?: Record<string, any>) => void}} [options]
+   */
+  constructor({ level = "info", format = "text", fields = {}, write = null } = {}) {
+    this.level = LEVELS[String(level).toLowerCase()] ? String(level).toLowerCase() : "info";
+    this.format = format === "json" ? "json" : "text";
+    this.fields = fields;
+    this.write = write || ((line, extra) => (extra ? console.log(line, extra) : console.log(line)));
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Create a logger that adds the given fields to every record.
+   *
+   * @param {Record<string, any>} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      write: this.write
+    });
+  }
+
+  /**
+   * Run `fn` with fields added to every record logged inside it, by any logger, across awaits.
+   *
+   * @template T
+   * @param {Record<string, any>} fields
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  withContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * @returns {Record<string, any>} fields of the current async context
+   */
+  getContext() {
+    return contextStorage.getStore() || {};
+  }
+
+  debug(message, extra) {
+    this.log("debug", message, extra);
+  }
+
+  info(message, extra) {
+    this.log("info", message, extra);
+  }
+
+  warn(message, extra) {
+    this.log("warn", message, extra);
+  }
+
+  error(message, extra) {
+    this.log("error", message, extra);
+  }
+
+  /**
+   * @param {"debug"|"info"|"warn"|"error"} level
+   * @param {string} message
+   * @param {any} [extra]
+   * @returns {void}
+   */
+  log(level, message, extra) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const time = new Date().toISOString();
+    const fields = { ...this.getContext(), ...this.fields, ...normalizeExtra(extra) };
+
+    if (this.format === "json") {
+      let line;
+      try {
+        line = JSON.stringify({ time, level, msg: message, ...fields }, jsonReplacer);
+      } catch (error) {
+        line = JSON.stringify({ time, level, msg: message, logError: error.message });
+      }
+      this.write(line);
+      return;
+    }
+
+    const line = `[${time}] [${level.toUpperCase()}] ${message}`;
+    this.write(line, Object.keys(fields).length ? fields : undefined);
   }
-  console.log(`[${time}] [${level}] ${message}`, extra);
 }
 
-module.exports = {
-  info: (message, extra) => stamp("INFO", message, extra),
-  warn: (message, extra) => stamp("WARN", message, extra),
-  error: (message, extra) => stamp("ERROR", message, extra)
-};
+module.exports = new Logger({ level: config.logLevel, format: config.logFormat });
+module.exports.Logger = Logger;
@@ -22,7 +22,15 @@ const { SyncService } = require("./syncService");
     scraper,
     repository,
     logger,
-    timezone: config.syncTimezone
+    timezone: config.syncTimezone,
+    snapshotRetention: config.snapshotRetention,
+    promotionRules: {
+      enabled: config.syncGuardEnabled,
+      maxLessonsDropPercent: config.syncGuardMaxLessonsDropPercent,
+      maxGroupsDropPercent: config.syncGuardMaxGroupsDropPercent,
+      minGroups: config.syncGuardMinGroups,
+      lookaheadDays: config.syncGuardLookaheadDays
+    }
   });
   const result = await syncService.run("cli");
   console.log(JSON.stringify(result, null, 2));
@@ -1,4 +1,5 @@
 const axios = require("axios");
+const metrics = require("../metrics");
 
 class MaxApiClient {
   /**
@@ -20,6 +21,25 @@ class MaxApiClient {
         "Content-Type": "application/json"
       }
     });
+
+    // Time every call; endpoints are fixed paths, so they are safe as metric labels.
+    this.http.interceptors.request.use((request) => {
+      request.endMetricsTimer = metrics.maxApiRequestDuration.startTimer({
+        method: String(request.method || "get").toUpperCase(),
+        endpoint: request.url
+      });
+      return request;
+    });
+    this.http.interceptors.response.use(
+      (response) => {
+        response.config.endMetricsTimer?.({ outcome: "success" });
+        return response;
+      },
+      (error) => {
+        error.config?.endMetricsTimer?.({ outcome: "error" });
+        return Promise.reject(error);
+      }
+    );
   }
 
   /**
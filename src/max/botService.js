@@ -1,20 +1,13 @@
 const { MaxApiClient } = require("./apiClient");
 const { MaxUserPrefsRepository } = require("./userPrefsRepository");
 const { MaxBotStatsRepository } = require("./statsRepository");
+const { teacherMatchKey } = require("../teacherScheduleService");
+const { isIsoDate, getIsoDateInTimezone, shiftIsoDate } = require("../dateUtils");
 
 function cleanText(value) {
   return (value || "").replace(/\u00a0/g, " ").replace(/\s+/g, " ").trim();
 }
 
-function getIsoDateInTimezone(timezone) {
-  return new Intl.DateTimeFormat("en-CA", {
-    timeZone: timezone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit"
-  }).format(new Date());
-}
-
 function getTimezoneNow(timezone) {
   const parts = new Intl.DateTimeFormat("en-CA", {
     timeZone: timezone,
@@ -37,12 +30,6 @@ function getTimezoneNow(timezone) {
   };
 }
 
-function shiftIsoDate(isoDate, deltaDays) {
-  const base = new Date(`${isoDate}T00:00:00Z`);
-  base.setUTCDate(base.getUTCDate() + deltaDays);
-  return base.toISOString().slice(0, 10);
-}
-
 function toRuDate(isoDate) {
   const match = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
   if (!match) return isoDate;
@@ -120,7 +107,17 @@ const COMMAND_ALIASES = {
   reminder: "reminder",
   reminders: "reminder",
   "напоминание": "reminder",
-  "напоминания": "reminder"
+  "напоминания": "reminder",
+  changes: "changes",
+  "изменения": "changes",
+  free: "free_rooms",
+  freerooms: "free_rooms",
+  "свободные": "free_rooms",
+  room: "room",
+  "аудитория": "room",
+  "ауд": "room",
+  progress: "progress",
+  "прогресс": "progress"
 };
 
 function resolveCommandAlias(command) {
@@ -183,31 +180,6 @@ function parseCallbackCommand(payload) {
   return raw;
 }
 
-function teacherMatchKey(value) {
-  const normalized = String(value || "")
-    .toLowerCase()
-    .replace(/\./g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!normalized) return "";
-
-  const parts = normalized.split(" ").filter(Boolean);
-  if (!parts.length) return "";
-
-  const surname = parts[0];
-  const initialsRaw = parts.slice(1).join("");
-  if (!initialsRaw) return surname;
-
-  if (parts.length >= 3) {
-    const nameInitial = parts[1][0] || "";
-    const middleInitial = parts[2][0] || "";
-    return `${surname}:${nameInitial}${middleInitial}`;
-  }
-
-  const twoLetters = initialsRaw.slice(0, 2);
-  return `${surname}:${twoLetters}`;
-}
-
 function isSlashCommand(text) {
   return String(text || "").trim().startsWith("/");
 }
@@ -224,12 +196,6 @@ function decodeToken(value) {
   }
 }
 
-function isIsoDate(value) {
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return false;
-  const date = new Date(`${value}T00:00:00Z`);
-  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
-}
-
 function splitLongMessage(text, maxLen = 3800) {
   if (!text || text.length <= maxLen) return [text || ""];
 
@@ -252,53 +218,6 @@ function splitLongMessage(text, maxLen = 3800) {
   return chunks;
 }
 
-function parseLessonStartTimes(value) {
-  const defaults = {
-    1: "08:00",
-    2: "10:00",
-    3: "12:00",
-    4: "14:00",
-    5: "16:00",
-    6: "17:50"
-  };
-
-  if (!value) return defaults;
-
-  const map = {};
-  String(value)
-    .split(",")
-    .map((chunk) => chunk.trim())
-    .filter(Boolean)
-    .forEach((chunk) => {
-      const [left, right] = chunk.split("=");
-      const lessonNumber = Number.parseInt(String(left || "").trim(), 10);
-      const hhmm = String(right || "").trim();
-      if (!Number.isFinite(lessonNumber)) return;
-      if (!/^\d{2}:\d{2}$/.test(hhmm)) return;
-      map[lessonNumber] = hhmm;
-    });
-
-  return Object.keys(map).length > 0 ? map : defaults;
-}
-
-function hhmmToMinutes(hhmm) {
-  const match = String(hhmm || "").match(/^(\d{2}):(\d{2})$/);
-  if (!match) return null;
-  const hours = Number.parseInt(match[1], 10);
-  const minutes = Number.parseInt(match[2], 10);
-  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
-  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return null;
-  return hours * 60 + minutes;
-}
-
-function minutesToHhmm(totalMinutes) {
-  const minutesInDay = 24 * 60;
-  const normalized = ((totalMinutes % minutesInDay) + minutesInDay) % minutesInDay;
-  const hours = Math.floor(normalized / 60);
-  const minutes = normalized % 60;
-  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
-}
-
 function prettyTime(hhmm) {
   const match = String(hhmm || "").match(/^(\d{2}):(\d{2})$/);
   if (!match) return hhmm;
@@ -317,15 +236,17 @@ class MaxBotService {
    *  db: import("mongodb").Db,
    *  scheduleRepository: any,
    *  syncService: any,
+   *  roomService: any,
+   *  teacherScheduleService: any,
+   *  snapshotCache: import("../snapshotCache").SnapshotCache,
+   *  groupProgressService?: import("../groupProgressService").GroupProgressService|null,
    *  logger: any,
    *  token: string,
    *  apiBaseUrl?: string,
    *  timeoutMs?: number,
    *  timezone: string,
-   *  lessonStartTimes?: string,
-   *  lessonPartMinutes?: number,
-   *  midLessonBreakMinutes?: number,
-   *  betweenLessonsBreakMinutes?: number,
+   *  bellSchedule: import("../bellSchedule").BellSchedule,
+   *  academicCalendar?: import("../academicCalendar").AcademicCalendar|null,
    *  adminUserIds?: Array<string|number>
    * }} deps
    */
@@ -333,32 +254,29 @@ class MaxBotService {
     db,
     scheduleRepository,
     syncService,
+    roomService,
+    teacherScheduleService,
+    snapshotCache,
+    groupProgressService = null,
     logger,
     token,
     apiBaseUrl,
     timeoutMs,
     timezone,
-    lessonStartTimes,
-    lessonPartMinutes,
-    midLessonBreakMinutes,
-    betweenLessonsBreakMinutes,
+    bellSchedule,
+    academicCalendar = null,
     adminUserIds
   }) {
     this.logger = logger;
     this.scheduleRepository = scheduleRepository;
     this.syncService = syncService;
+    this.roomService = roomService;
+    this.teacherScheduleService = teacherScheduleService;
+    this.snapshotCache = snapshotCache;
+    this.groupProgressService = groupProgressService;
     this.timezone = timezone;
-    this.lessonStartTimes = parseLessonStartTimes(lessonStartTimes);
-    this.lessonPartMinutes =
-      Number.isFinite(lessonPartMinutes) && lessonPartMinutes > 0 ? lessonPartMinutes : 45;
-    this.midLessonBreakMinutes =
-      Number.isFinite(midLessonBreakMinutes) && midLessonBreakMinutes >= 0
-        ? midLessonBreakMinutes
-        : 10;
-    this.betweenLessonsBreakMinutes =
-      Number.isFinite(betweenLessonsBreakMinutes) && betweenLessonsBreakMinutes >= 0
-        ? betweenLessonsBreakMinutes
-        : 20;
+    this.bellSchedule = bellSchedule;
+    this.academicCalendar = academicCalendar;
     this.adminUserIds = new Set((adminUserIds || []).map((id) => String(id)));
     this.lastSenderByTarget = new Map();
     this.pendingByTarget = new Map();
@@ -705,6 +623,9 @@ class MaxBotService {
       "- `/преподаватель` - режим преподавателя",
       "- `/напоминание` - статус напоминаний",
       "- `/напоминание 1|2|1,2|выкл` - настройка напоминаний",
+      "- `/изменения вкл|выкл` - уведомления об изменениях в расписании",
+      "- `/свободные [YYYY-MM-DD] [пара]` (`/free`) - свободные аудитории",
+      "- `/аудитория <номер> [YYYY-MM-DD]` (`/room`) - расписание аудитории",
       "- `/обновить` (`/sync`) - принудительный sync (только admin)"
     ];
 
@@ -717,7 +638,8 @@ class MaxBotService {
       "- `/сегодня [код|название]` (`/today`) - расписание на сегодня",
       "- `/завтра [код|название]` (`/tomorrow`) - расписание на завтра",
       "- `/дата <YYYY-MM-DD> [код|название]` (`/date`) - расписание на дату",
-      "- `/следующая [код|название]` (`/next`) - ближайшая пара"
+      "- `/следующая [код|название]` (`/next`) - ближайшая пара",
+      "- `/прогресс [код|название]` (`/progress`) - сколько пар по предметам прошло и осталось"
     ];
 
     const teacherCommands = [
@@ -832,6 +754,44 @@ class MaxBotService {
       return;
     }
 
+    if (String(commandRaw || "").toLowerCase().startsWith("chgset:")) {
+      const [, modeRaw, senderToken] = String(commandRaw || "").split(":");
+      const mode = String(modeRaw || "").trim().toLowerCase();
+      const senderFromToken = decodeToken(senderToken);
+      const effectiveSenderId = senderFromToken || callbackSenderId;
+      this.rememberTargetSender(target, effectiveSenderId);
+      await this.safeAnswerCallback(callbackId, "Готово");
+      await this.handleChangeNotificationsCommand(target, effectiveSenderId, mode ? [mode] : []);
+      return;
+    }
+
+    if (String(commandRaw || "").toLowerCase().startsWith("freed:")) {
+      const [, isoDate, senderToken] = String(commandRaw || "").split(":");
+      const effectiveSenderId = decodeToken(senderToken) || callbackSenderId;
+      this.rememberTargetSender(target, effectiveSenderId);
+      await this.safeAnswerCallback(callbackId, "Выбрано");
+      await this.handleFreeRoomsCommand(target, effectiveSenderId, [isoDate]);
+      return;
+    }
+
+    if (String(commandRaw || "").toLowerCase().startsWith("freel:")) {
+      const [, isoDate, lessonNumber, senderToken] = String(commandRaw || "").split(":");
+      const effectiveSenderId = decodeToken(senderToken) || callbackSenderId;
+      this.rememberTargetSender(target, effectiveSenderId);
+      await this.safeAnswerCallback(callbackId, "Выбрано");
+      await this.handleFreeRoomsCommand(target, effectiveSenderId, [isoDate, lessonNumber]);
+      return;
+    }
+
+    if (String(commandRaw || "").toLowerCase().startsWith("roomd:")) {
+      const [, isoDate, roomToken, senderToken] = String(commandRaw || "").split(":");
+      const effectiveSenderId = decodeToken(senderToken) || callbackSenderId;
+      this.rememberTargetSender(target, effectiveSenderId);
+      await this.safeAnswerCallback(callbackId, "Открываю");
+      await this.handleRoomScheduleCommand(target, effectiveSenderId, [decodeToken(roomToken), isoDate]);
+      return;
+    }
+
     const [actionRaw, senderToken] = String(commandRaw || "").split(":");
     const senderFromToken = decodeToken(senderToken);
     const effectiveSenderId = senderFromToken || callbackSenderId;
@@ -1152,6 +1112,22 @@ class MaxBotService {
         await this.handleReminderCommand(target, senderId, args);
         return;
 
+      case "changes":
+        await this.handleChangeNotificationsCommand(target, senderId, args);
+        return;
+
+      case "free_rooms":
+        await this.handleFreeRoomsCommand(target, senderId, args);
+        return;
+
+      case "room":
+        await this.handleRoomScheduleCommand(target, senderId, args);
+        return;
+
+      case "progress":
+        await this.handleProgressCommand(target, senderId, args);
+        return;
+
       case "sync":
         await this.handleSyncCommand(target, senderId);
         return;
@@ -1365,7 +1341,7 @@ class MaxBotService {
         return;
       }
 
-      const lessons = await this.scheduleRepository.getActiveLessons({ groupCode: groupResolved.group.code });
+      const lessons = await this.snapshotCache.getLessons({ groupCode: groupResolved.group.code });
       dates = Array.from(new Set(lessons.map((lesson) => String(lesson.date || "")).filter(isIsoDate))).sort(
         (a, b) => a.localeCompare(b)
       );
@@ -1588,7 +1564,7 @@ class MaxBotService {
    * @returns {Promise<Array<Record<string, any>>>}
    */
   async getActiveGroups() {
-    return this.scheduleRepository.getActiveGroups();
+    return this.snapshotCache.getGroups();
   }
 
   /**
@@ -1597,44 +1573,7 @@ class MaxBotService {
    * @returns {Promise<Array<Record<string, any>>>}
    */
   async getActiveTeachers() {
-    const teachers = await this.scheduleRepository.getActiveTeachers();
-    const byKey = new Map();
-
-    teachers.forEach((teacher) => {
-      const key = teacherMatchKey(teacher.name);
-      if (!key) return;
-
-      const prev = byKey.get(key);
-      if (!prev) {
-        byKey.set(key, {
-          key,
-          code: teacher.code || null,
-          name: teacher.name
-        });
-        return;
-      }
-
-      // Prefer full form over initials when both variants exist.
-      const prevScore = prev.name.length + (prev.code ? 5 : 0);
-      const nextScore = teacher.name.length + (teacher.code ? 5 : 0);
-      if (nextScore > prevScore) {
-        byKey.set(key, {
-          key,
-          code: teacher.code || null,
-          name: teacher.name
-        });
-        return;
-      }
-
-      if (!prev.code && teacher.code) {
-        byKey.set(key, {
-          ...prev,
-          code: teacher.code
-        });
-      }
-    });
-
-    return Array.from(byKey.values()).sort((a, b) => a.name.localeCompare(b.name, "ru"));
+    return this.snapshotCache.getTeachers();
   }
 
   /**
@@ -1808,36 +1747,40 @@ class MaxBotService {
   }
 
   /**
-   * Get configured lesson start time by lesson number.
+   * Get lesson start time by lesson number on a date.
    *
    * @param {number} lessonNumber
+   * @param {string|null} [isoDate] date of the lesson; weekday/date bell schedules apply
    * @returns {string}
    */
-  getLessonStartTime(lessonNumber) {
-    return this.lessonStartTimes[lessonNumber] || "--:--";
+  getLessonStartTime(lessonNumber, isoDate = null) {
+    return this.bellSchedule.getLessonTimes(lessonNumber, isoDate)?.start || "--:--";
   }
 
   /**
-   * Get lesson time range by lesson number.
-   * Rule: `LESSON_PART_MINUTES + MID_LESSON_BREAK_MINUTES + LESSON_PART_MINUTES`
-   * inside a lesson, plus `BETWEEN_LESSONS_BREAK_MINUTES` between lessons.
+   * Get lesson time range by lesson number on a date (see `BellSchedule`).
    *
    * @param {number} lessonNumber
+   * @param {string|null} [isoDate] date of the lesson; weekday/date bell schedules apply
    * @returns {string}
    */
-  getLessonTimeRange(lessonNumber) {
-    const lessonNo = Number.parseInt(lessonNumber, 10);
-    if (!Number.isFinite(lessonNo) || lessonNo < 1) return "--:--";
-
-    const baseStart = hhmmToMinutes(this.lessonStartTimes[1]) ?? hhmmToMinutes("08:00");
-    if (baseStart === null) return "--:--";
+  getLessonTimeRange(lessonNumber, isoDate = null) {
+    const times = this.bellSchedule.getLessonTimes(lessonNumber, isoDate);
+    if (!times) return "--:--";
+    return `${times.start} - ${times.end}`;
+  }
 
-    const lessonDurationMinutes =
-      this.lessonPartMinutes + this.midLessonBreakMinutes + this.lessonPartMinutes;
-    const stepMinutes = lessonDurationMinutes + this.betweenLessonsBreakMinutes;
-    const start = baseStart + (lessonNo - 1) * stepMinutes;
-    const end = start + lessonDurationMinutes;
-    return `${minutesToHhmm(start)} - ${minutesToHhmm(end)}`;
+  /**
+   * Get lesson time range for day views, e.g. `8:00 - 9:40`; `--:--` when the lesson has no time.
+   *
+   * @param {number} lessonNumber
+   * @param {string|null} [isoDate]
+   * @returns {string}
+   */
+  formatLessonTimeRange(lessonNumber, isoDate = null) {
+    const times = this.bellSchedule.getLessonTimes(lessonNumber, isoDate);
+    if (!times) return "--:--";
+    return `${prettyTime(times.start)} - ${prettyTime(times.end)}`;
   }
 
   /**
@@ -1861,7 +1804,7 @@ class MaxBotService {
       if (lesson.date > now.isoDate) return true;
       if (lesson.date < now.isoDate) return false;
 
-      const start = this.getLessonStartTime(lesson.lessonNumber);
+      const start = this.getLessonStartTime(lesson.lessonNumber, lesson.date);
       if (start === "--:--") return true;
       return start >= now.hhmm;
     });
@@ -1963,6 +1906,23 @@ class MaxBotService {
     await this.sendText(target, `Ваш преподаватель по умолчанию: ${pref.preferredTeacherName}`);
   }
 
+  /**
+   * Format date line of a day header, followed by week number and parity or a holiday note
+   * from the academic calendar when it is known.
+   *
+   * @param {string} isoDate
+   * @param {Array<Record<string, any>>} [lessons] lessons of that day; their `dayLabel` is a parity fallback
+   * @returns {string}
+   */
+  formatDayTitle(isoDate, lessons = []) {
+    const dateLine = toRuDate(isoDate);
+    if (!this.academicCalendar) return dateLine;
+
+    const dayLabel = lessons.find((lesson) => lesson.dayLabel)?.dayLabel || null;
+    const note = this.academicCalendar.formatDayNote(isoDate, dayLabel);
+    return note ? `${dateLine}\n${note}` : dateLine;
+  }
+
   /**
    * Format lessons into a readable day schedule message.
    *
@@ -1972,7 +1932,7 @@ class MaxBotService {
    * @returns {string}
    */
   formatLessonsForDay(group, isoDate, lessons) {
-    const header = `${group.name} (${group.code})\n${toRuDate(isoDate)}`;
+    const header = `${group.name} (${group.code})\n${this.formatDayTitle(isoDate, lessons)}`;
 
     if (!lessons.length) {
       return `${header}\n\nПар не найдено.`;
@@ -1988,12 +1948,9 @@ class MaxBotService {
     const blocks = sorted.map((lesson) => {
       const room = lesson.room || "-";
       const teacher = lesson.teacher || "-";
-      const lessonTime = this.getLessonTimeRange(lesson.lessonNumber);
-      const [startRaw, endRaw] = lessonTime.split(" - ");
-      const start = prettyTime(startRaw);
-      const end = prettyTime(endRaw);
+      const lessonTime = this.formatLessonTimeRange(lesson.lessonNumber, isoDate);
       return [
-        `${lesson.lessonNumber}. ${start} - ${end}`,
+        `${lesson.lessonNumber}. ${lessonTime}`,
         `${lesson.subject} (${formatRoomMarkdown(room)})`,
         teacher
       ].join("\n");
@@ -2020,7 +1977,7 @@ class MaxBotService {
       return;
     }
 
-    const lessons = await this.scheduleRepository.getActiveLessons({
+    const lessons = await this.snapshotCache.getLessons({
       groupCode: resolved.group.code,
       date: isoDate
     });
@@ -2070,7 +2027,7 @@ class MaxBotService {
       return;
     }
 
-    const lessons = await this.scheduleRepository.getActiveLessons({ groupCode: resolved.group.code });
+    const lessons = await this.snapshotCache.getLessons({ groupCode: resolved.group.code });
     const nextLesson = this.findNextLesson(lessons);
 
     if (!nextLesson) {
@@ -2084,7 +2041,7 @@ class MaxBotService {
     const message = [
       `Ближайшая пара для ${resolved.group.name} (${resolved.group.code}):`,
       `${toRuDate(nextLesson.date)}, пара ${nextLesson.lessonNumber}`,
-      `Время начала: ${this.getLessonStartTime(nextLesson.lessonNumber)}`,
+      `Время начала: ${this.getLessonStartTime(nextLesson.lessonNumber, nextLesson.date)}`,
       nextLesson.subject,
       `Аудитория: ${formatRoomMarkdown(nextLesson.room || "-")}`,
       `Преподаватель: ${nextLesson.teacher || "-"}`
@@ -2101,86 +2058,7 @@ class MaxBotService {
    * @returns {Promise<Array<Record<string, any>>>}
    */
   async getTeacherLessons(teacher, filters = {}) {
-    const lessons = await this.scheduleRepository.getActiveLessons(filters.date ? { date: filters.date } : {});
-    const byName = lessons.filter((lesson) => teacherMatchKey(lesson.teacher) === teacher.key);
-
-    const teacherCode = String(teacher.code || "").trim();
-    const byTeacherPage = teacherCode
-      ? lessons.filter((lesson) => {
-          const sourceUrl = String(lesson.sourceUrl || "");
-          const codeFromUrl = sourceUrl.match(/cp(\d+)\.htm/i)?.[1] || "";
-          const codeFromField = String(lesson.teacherCode || "");
-          return codeFromUrl === teacherCode || codeFromField === teacherCode;
-        })
-      : [];
-
-    const surname = String(teacher.name || "")
-      .toLowerCase()
-      .trim()
-      .split(/\s+/)[0];
-    const bySurname =
-      !byTeacherPage.length && !byName.length && surname
-        ? lessons.filter((lesson) => String(lesson.teacher || "").toLowerCase().startsWith(surname))
-        : [];
-
-    const preferred = byTeacherPage.length > 0 ? byTeacherPage : byName.length > 0 ? byName : bySurname;
-    const sorted = preferred.sort((a, b) => {
-      if (a.date !== b.date) return a.date.localeCompare(b.date);
-      if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
-      return (a.groupName || "").localeCompare(b.groupName || "", "ru");
-    });
-
-    return this.mergeTeacherParallelLessons(sorted);
-  }
-
-  /**
-   * Merge parallel teacher lessons into one row when time and room are the same.
-   *
-   * @param {Array<Record<string, any>>} lessons
-   * @returns {Array<Record<string, any>>}
-   */
-  mergeTeacherParallelLessons(lessons) {
-    const buckets = new Map();
-
-    lessons.forEach((lesson) => {
-      const date = String(lesson.date || "");
-      const lessonNumber = Number.parseInt(lesson.lessonNumber, 10);
-      const room = String(lesson.room || "-");
-      const subjectKey = String(lesson.subject || "").toLowerCase();
-      const key = `${date}|${lessonNumber}|${room}|${subjectKey}`;
-      const groupLabel = String(lesson.groupName || "");
-      const subjectLabel = String(lesson.subject || "");
-
-      if (!buckets.has(key)) {
-        buckets.set(key, {
-          lesson: { ...lesson },
-          groups: new Set(groupLabel ? [groupLabel] : []),
-          subjects: new Set(subjectLabel ? [subjectLabel] : [])
-        });
-        return;
-      }
-
-      const item = buckets.get(key);
-      if (groupLabel) item.groups.add(groupLabel);
-      if (subjectLabel) item.subjects.add(subjectLabel);
-    });
-
-    return Array.from(buckets.values())
-      .map(({ lesson, groups, subjects }) => {
-        const groupsList = Array.from(groups).filter(Boolean);
-        const subjectsList = Array.from(subjects).filter(Boolean);
-
-        return {
-          ...lesson,
-          groupName: groupsList.length ? groupsList.join(" ") : lesson.groupName || null,
-          subject: subjectsList.length > 1 ? subjectsList.join(" / ") : lesson.subject
-        };
-      })
-      .sort((a, b) => {
-        if (a.date !== b.date) return a.date.localeCompare(b.date);
-        if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
-        return String(a.groupName || "").localeCompare(String(b.groupName || ""), "ru");
-      });
+    return this.snapshotCache.getTeacherLessons(teacher, filters);
   }
 
   /**
@@ -2192,7 +2070,7 @@ class MaxBotService {
    * @returns {string}
    */
   formatTeacherLessonsForDay(teacher, isoDate, lessons) {
-    const header = `${teacher.name}\n${toRuDate(isoDate)}`;
+    const header = `${teacher.name}\n${this.formatDayTitle(isoDate, lessons)}`;
     if (!lessons.length) {
       return `${header}\n\nПар не найдено.`;
     }
@@ -2223,25 +2101,19 @@ class MaxBotService {
     for (let lessonNumber = minLesson; lessonNumber <= maxLesson; lessonNumber += 1) {
       const rows = byLessonNumber.get(lessonNumber) || [];
       if (!rows.length) {
-        const lessonTime = this.getLessonTimeRange(lessonNumber);
-        const [startRaw, endRaw] = lessonTime.split(" - ");
-        const start = prettyTime(startRaw);
-        const end = prettyTime(endRaw);
-        blocks.push(`${lessonNumber}. ${start} - ${end}\nПары нет`);
+        const lessonTime = this.formatLessonTimeRange(lessonNumber, isoDate);
+        blocks.push(`${lessonNumber}. ${lessonTime}\nПары нет`);
         continue;
       }
 
       rows.forEach((lesson) => {
         const room = lesson.room || "-";
         const group = lesson.groupName || "";
-        const lessonTime = this.getLessonTimeRange(lesson.lessonNumber);
-        const [startRaw, endRaw] = lessonTime.split(" - ");
-        const start = prettyTime(startRaw);
-        const end = prettyTime(endRaw);
+        const lessonTime = this.formatLessonTimeRange(lesson.lessonNumber, isoDate);
         const location = cleanText(
           [group, room !== "-" ? formatRoomMarkdown(room) : ""].filter(Boolean).join(" ")
         ) || room;
-        blocks.push([`${lesson.lessonNumber}. ${start} - ${end}`, location, lesson.subject].join("\n"));
+        blocks.push([`${lesson.lessonNumber}. ${lessonTime}`, location, lesson.subject].join("\n"));
       });
     }
 
@@ -2329,7 +2201,7 @@ class MaxBotService {
     const message = [
       `Ближайшая пара преподавателя ${resolved.teacher.name}:`,
       `${toRuDate(nextLesson.date)}, пара ${nextLesson.lessonNumber}`,
-      `Время начала: ${this.getLessonStartTime(nextLesson.lessonNumber)}`,
+      `Время начала: ${this.getLessonStartTime(nextLesson.lessonNumber, nextLesson.date)}`,
       nextLesson.subject,
       `Группа: ${nextLesson.groupName || "-"}`,
       `Аудитория: ${formatRoomMarkdown(nextLesson.room || "-")}`,
@@ -2417,6 +2289,7 @@ class MaxBotService {
     const only2 = !days.has(1) && days.has(2);
     const both = days.has(1) && days.has(2);
     const disabled = !enabled || days.size === 0;
+    const changesEnabled = pref?.changeNotificationsEnabled === true;
     const mark = (active, label) => (active ? `✅ ${label}` : label);
 
     return [
@@ -2450,6 +2323,13 @@ class MaxBotService {
                 payload: `cmd:remset:off:${encodeToken(senderId)}`
               }
             ],
+            [
+              {
+                type: "callback",
+                text: mark(changesEnabled, "Уведомлять об изменениях"),
+                payload: `cmd:chgset:${changesEnabled ? "off" : "on"}:${encodeToken(senderId)}`
+              }
+            ],
             [callbackButton("Меню", "help", senderId)]
           ]
         }
@@ -2497,12 +2377,14 @@ class MaxBotService {
         target,
         [
           status,
+          this.buildChangeNotificationsStatus(pref),
           "",
           "Настройка:",
           "- `/напоминание 1` — за 1 день",
           "- `/напоминание 2` — за 2 дня",
           "- `/напоминание 1,2` — за 1 и 2 дня",
-          "- `/напоминание выкл` — отключить"
+          "- `/напоминание выкл` — отключить",
+          "- `/изменения вкл|выкл` — уведомления об изменениях"
         ].join("\n"),
         {
           attachments: this.reminderSettingsKeyboard(senderId, pref),
@@ -2526,6 +2408,415 @@ class MaxBotService {
     });
   }
 
+  /**
+   * Parse on/off argument for schedule-change notifications.
+   *
+   * @param {string[]} args
+   * @returns {boolean|null}
+   */
+  parseChangeNotificationsToggle(args) {
+    const raw = args.join(" ").trim().toLowerCase();
+    if (!raw) return null;
+
+    if (["on", "вкл", "включить", "да", "1"].includes(raw)) return true;
+    if (["off", "выкл", "выключить", "нет", "0", "stop"].includes(raw)) return false;
+    return null;
+  }
+
+  /**
+   * Build human-readable schedule-change notifications status line.
+   *
+   * @param {Record<string, any>|null} pref
+   * @returns {string}
+   */
+  buildChangeNotificationsStatus(pref) {
+    return pref?.changeNotificationsEnabled === true
+      ? "Уведомления об изменениях: включены."
+      : "Уведомления об изменениях: выключены.";
+  }
+
+  /**
+   * Handle schedule-change notifications command.
+   *
+   * @param {{chatId?: string|number, userId?: string|number}} target
+   * @param {string} senderId
+   * @param {string[]} args
+   * @returns {Promise<void>}
+   */
+  async handleChangeNotificationsCommand(target, senderId, args) {
+    const pref = await this.userPrefsRepository.getByUserId(senderId);
+    const role = pref?.role === "teacher" ? "teacher" : pref?.role === "student" ? "student" : null;
+
+    if (!role) {
+      await this.sendText(
+        target,
+        "Сначала выберите роль: `/студент` или `/преподаватель`, затем настройте уведомления."
+      );
+      return;
+    }
+
+    if (role === "student" && !pref?.preferredGroupCode) {
+      await this.sendText(target, "Сначала выберите группу (`/группа <код>` или кнопка `Выбор группы`).");
+      return;
+    }
+
+    if (role === "teacher" && !pref?.preferredTeacherName && !pref?.preferredTeacherKey) {
+      await this.sendText(
+        target,
+        "Сначала выберите преподавателя (`/препод <ФИО>` или кнопка `Выбор преподавателя`)."
+      );
+      return;
+    }
+
+    const enabled = this.parseChangeNotificationsToggle(args);
+    if (enabled === null) {
+      await this.sendText(
+        target,
+        [
+          this.buildChangeNotificationsStatus(pref),
+          "",
+          "Бот пришлет сообщение, если после обновления расписания изменятся ваши ближайшие пары.",
+          "- `/изменения вкл` — включить",
+          "- `/изменения выкл` — отключить"
+        ].join("\n"),
+        {
+          attachments: this.reminderSettingsKeyboard(senderId, pref),
+          noMenu: true,
+          senderId
+        }
+      );
+      return;
+    }
+
+    await this.userPrefsRepository.setChangeNotifications(senderId, enabled);
+
+    const updatedPref = await this.userPrefsRepository.getByUserId(senderId);
+    await this.sendText(target, this.buildChangeNotificationsStatus(updatedPref), {
+      attachments: this.reminderSettingsKeyboard(senderId, updatedPref),
+      noMenu: true,
+      senderId
+    });
+  }
+
+  /**
+   * Get lesson numbers offered by the free-room picker.
+   *
+   * @param {string} isoDate
+   * @returns {number[]}
+   */
+  getPickerLessonNumbers(isoDate) {
+    return this.bellSchedule.getLessonNumbers(isoDate);
+  }
+
+  /**
+   * Build inline keyboard with dates for free-room lookup.
+   *
+   * @param {string} senderId
+   * @returns {Array<Record<string, any>>}
+   */
+  freeRoomsDateKeyboard(senderId) {
+    const senderToken = encodeToken(senderId);
+    const today = getIsoDateInTimezone(this.timezone);
+    const dates = Array.from({ length: 7 }, (_, index) => shiftIsoDate(today, index));
+
+    const buttons = [];
+    for (let index = 0; index < dates.length; index += 2) {
+      buttons.push(
+        dates.slice(index, index + 2).map((isoDate) => ({
+          type: "callback",
+          text: isoDate === today ? `Сегодня (${toRuDate(isoDate)})` : toRuDate(isoDate),
+          payload: `cmd:freed:${isoDate}:${senderToken}`
+        }))
+      );
+    }
+
+    return [{ type: "inline_keyboard", payload: { buttons } }];
+  }
+
+  /**
+   * Build inline keyboard with lesson numbers for free-room lookup.
+   *
+   * @param {string} senderId
+   * @param {string} isoDate
+   * @returns {Array<Record<string, any>>}
+   */
+  freeRoomsLessonKeyboard(senderId, isoDate) {
+    const senderToken = encodeToken(senderId);
+    const lessonNumbers = this.getPickerLessonNumbers(isoDate);
+
+    const buttons = [];
+    for (let index = 0; index < lessonNumbers.length; index += 2) {
+      buttons.push(
+        lessonNumbers.slice(index, index + 2).map((lessonNumber) => {
+          const [start] = this.getLessonTimeRange(lessonNumber, isoDate).split(" - ");
+          return {
+            type: "callback",
+            text: `${lessonNumber} пара (${prettyTime(start)})`,
+            payload: `cmd:freel:${isoDate}:${lessonNumber}:${senderToken}`
+          };
+        })
+      );
+    }
+    buttons.push([
+      { type: "callback", text: "← Другая дата", payload: `cmd:freed::${senderToken}` }
+    ]);
+
+    return [{ type: "inline_keyboard", payload: { buttons } }];
+  }
+
+  /**
+   * Handle `/свободные [YYYY-MM-DD] [lessonNumber]` command.
+   * Missing arguments are requested with inline buttons.
+   *
+   * @param {{chatId?: string|number, userId?: string|number}} target
+   * @param {string} senderId
+   * @param {string[]} args
+   * @returns {Promise<void>}
+   */
+  async handleFreeRoomsCommand(target, senderId, args) {
+    const [dateRaw, lessonRaw] = args.map((value) => String(value || "").trim().toLowerCase());
+    const today = getIsoDateInTimezone(this.timezone);
+    let isoDate = dateRaw || "";
+    if (isoDate === "сегодня" || isoDate === "today") isoDate = today;
+    if (isoDate === "завтра" || isoDate === "tomorrow") isoDate = shiftIsoDate(today, 1);
+
+    if (!isoDate) {
+      await this.sendText(target, "Свободные аудитории: выберите дату.", {
+        attachments: this.freeRoomsDateKeyboard(senderId),
+        noMenu: true,
+        senderId
+      });
+      return;
+    }
+
+    if (!isIsoDate(isoDate)) {
+      await this.sendText(target, "Формат: `/свободные [YYYY-MM-DD] [номер пары]`.");
+      return;
+    }
+
+    if (!lessonRaw) {
+      await this.sendText(target, `Свободные аудитории на ${toRuDate(isoDate)}: выберите пару.`, {
+        attachments: this.freeRoomsLessonKeyboard(senderId, isoDate),
+        noMenu: true,
+        senderId
+      });
+      return;
+    }
+
+    const result = await this.roomService.findFreeRooms({ date: isoDate, lessonNumber: lessonRaw });
+    if (!result.ok) {
+      await this.sendText(target, "Номер пары должен быть положительным числом.");
+      return;
+    }
+
+    const lessonTime = this.getLessonTimeRange(result.lessonNumber, result.date);
+    const header = `Свободные аудитории\n${toRuDate(result.date)}, ${result.lessonNumber} пара (${lessonTime})`;
+    const body = result.rooms.length
+      ? result.rooms.map((room) => formatRoomMarkdown(room)).join(", ")
+      : "Свободных аудиторий не найдено.";
+
+    await this.sendText(target, `${header}\n\n${body}`, {
+      attachments: this.freeRoomsLessonKeyboard(senderId, result.date),
+      noMenu: true,
+      senderId
+    });
+  }
+
+  /**
+   * Format room day schedule: each lesson with its group and teacher.
+   *
+   * @param {string} room
+   * @param {string} isoDate
+   * @param {Array<Record<string, any>>} lessons merged lessons from `RoomService.getRoomLessons`
+   * @returns {string}
+   */
+  formatRoomLessonsForDay(room, isoDate, lessons) {
+    const header = `Аудитория ${formatRoomMarkdown(room)}\n${this.formatDayTitle(isoDate, lessons)}`;
+    if (!lessons.length) {
+      return `${header}\n\nЗанятий нет.`;
+    }
+
+    const blocks = lessons.map((lesson) => {
+      const lessonTime = this.formatLessonTimeRange(lesson.lessonNumber, isoDate);
+      return [
+        `${lesson.lessonNumber}. ${lessonTime}`,
+        lesson.subject,
+        lesson.groupName || "-",
+        lesson.teacher || "-"
+      ].join("\n");
+    });
+
+    return `${header}\n\n${blocks.join("\n\n")}`;
+  }
+
+  /**
+   * Build inline keyboard with previous/next day navigation for room schedule.
+   *
+   * @param {string} senderId
+   * @param {string} room
+   * @param {string} isoDate
+   * @returns {Array<Record<string, any>>}
+   */
+  roomScheduleKeyboard(senderId, room, isoDate) {
+    const senderToken = encodeToken(senderId);
+    const roomToken = encodeToken(room);
+    const today = getIsoDateInTimezone(this.timezone);
+    const prev = shiftIsoDate(isoDate, -1);
+    const next = shiftIsoDate(isoDate, 1);
+
+    const row = [
+      {
+        type: "callback",
+        text: `← ${toRuDate(prev)}`,
+        payload: `cmd:roomd:${prev}:${roomToken}:${senderToken}`
+      }
+    ];
+    if (isoDate !== today) {
+      row.push({
+        type: "callback",
+        text: "Сегодня",
+        payload: `cmd:roomd:${today}:${roomToken}:${senderToken}`
+      });
+    }
+    row.push({
+      type: "callback",
+      text: `${toRuDate(next)} →`,
+      payload: `cmd:roomd:${next}:${roomToken}:${senderToken}`
+    });
+
+    return [{ type: "inline_keyboard", payload: { buttons: [row] } }];
+  }
+
+  /**
+   * Handle `/аудитория <room> [YYYY-MM-DD]` command.
+   * Room input is normalized: "216", "ауд. 216" and "216a" resolve via `RoomService.resolveRoom`.
+   *
+   * @param {{chatId?: string|number, userId?: string|number}} target
+   * @param {string} senderId
+   * @param {string[]} args
+   * @returns {Promise<void>}
+   */
+  async handleRoomScheduleCommand(target, senderId, args) {
+    const parts = args.map((value) => String(value || "").trim()).filter(Boolean);
+    const today = getIsoDateInTimezone(this.timezone);
+    let isoDate = today;
+    const last = String(parts[parts.length - 1] || "").toLowerCase();
+    if (isIsoDate(last)) {
+      isoDate = last;
+      parts.pop();
+    } else if (last === "завтра" || last === "tomorrow") {
+      isoDate = shiftIsoDate(today, 1);
+      parts.pop();
+    } else if (last === "сегодня" || last === "today") {
+      parts.pop();
+    }
+
+    const input = parts.join(" ");
+    if (!input) {
+      await this.sendText(target, "Формат: `/аудитория <номер> [YYYY-MM-DD]`.\nПример: `/аудитория 216`.");
+      return;
+    }
+
+    const resolved = await this.roomService.resolveRoom(input);
+    if (!resolved.ok) {
+      if (!resolved.candidates.length) {
+        await this.sendText(target, `Аудитория "${input}" не найдена в текущем расписании.`);
+        return;
+      }
+
+      const senderToken = encodeToken(senderId);
+      const buttons = [];
+      const candidates = resolved.candidates.slice(0, 12);
+      for (let index = 0; index < candidates.length; index += 3) {
+        buttons.push(
+          candidates.slice(index, index + 3).map((room) => ({
+            type: "callback",
+            text: room,
+            payload: `cmd:roomd:${isoDate}:${encodeToken(room)}:${senderToken}`
+          }))
+        );
+      }
+
+      await this.sendText(target, "Найдено несколько аудиторий, выберите нужную:", {
+        attachments: [{ type: "inline_keyboard", payload: { buttons } }],
+        noMenu: true,
+        senderId
+      });
+      return;
+    }
+
+    const lessons = await this.roomService.getRoomLessons(resolved.rooms, isoDate);
+    await this.sendText(target, this.formatRoomLessonsForDay(resolved.room, isoDate, lessons), {
+      attachments: this.roomScheduleKeyboard(senderId, resolved.room, isoDate),
+      noMenu: true,
+      senderId
+    });
+  }
+
+  /**
+   * Build subject progress message of a group.
+   *
+   * @param {Record<string, any>} progress result of `GroupProgressService.getGroupProgress`
+   * @returns {string}
+   */
+  formatGroupProgress(progress) {
+    const { group, term, totals, subjects } = progress;
+    let period = "За все время";
+    if (term) {
+      period = `${term.title || "Семестр"}: ${toRuDate(term.from)} - ${toRuDate(term.to)}`;
+    } else if (progress.from || progress.to) {
+      period = `Период: ${toRuDate(progress.from) || "..."} - ${toRuDate(progress.to) || "..."}`;
+    }
+    const header = [
+      `${group.name} (${group.code})`,
+      period,
+      `Прошло пар: ${totals.pastPairs}, впереди: ${totals.upcomingPairs}`
+    ].join("\n");
+
+    if (!subjects.length) {
+      return `${header}\n\nПар не найдено.`;
+    }
+
+    const blocks = subjects.map((subject) => {
+      const lines = [`**${subject.subject}**: ${subject.pastPairs} из ${subject.totalPairs}`];
+      subject.teachers.forEach((teacher) => {
+        lines.push(`- ${teacher.teacher || "без преподавателя"}: ${teacher.pastPairs} из ${teacher.totalPairs}`);
+      });
+      return lines.join("\n");
+    });
+
+    return `${header}\n\n${blocks.join("\n\n")}`;
+  }
+
+  /**
+   * Handle `/прогресс [group]` command.
+   *
+   * @param {{chatId?: string|number, userId?: string|number}} target
+   * @param {string} senderId
+   * @param {string[]} args
+   * @returns {Promise<void>}
+   */
+  async handleProgressCommand(target, senderId, args) {
+    if (!this.groupProgressService) {
+      await this.sendText(target, "Прогресс по предметам недоступен.");
+      return;
+    }
+
+    const resolved = await this.resolveGroup(senderId, args.join(" ").trim());
+    if (resolved.error) {
+      await this.sendText(target, resolved.error);
+      return;
+    }
+
+    const progress = await this.groupProgressService.getGroupProgress(resolved.group.code);
+    if (!progress.ok) {
+      await this.sendText(target, "Не удалось посчитать прогресс группы.");
+      return;
+    }
+
+    await this.sendText(target, this.formatGroupProgress(progress));
+  }
+
   /**
    * Handle `/sync` command with optional admin restriction.
    *
@@ -17,6 +17,10 @@ class MaxUserPrefsRepository {
       { reminderEnabled: 1, reminderUpdatedAt: -1 },
       { name: "idx_reminder_enabled" }
     );
+    await this.collection.createIndex(
+      { changeNotificationsEnabled: 1 },
+      { name: "idx_change_notifications_enabled" }
+    );
   }
 
   /**
@@ -188,6 +192,37 @@ class MaxUserPrefsRepository {
       })
       .toArray();
   }
+
+  /**
+   * Enable or disable schedule-change notifications for user.
+   *
+   * @param {string|number} userId
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setChangeNotifications(userId, enabled) {
+    await this.collection.updateOne(
+      { userId: String(userId) },
+      {
+        $set: {
+          userId: String(userId),
+          changeNotificationsEnabled: Boolean(enabled),
+          changeNotificationsUpdatedAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Get users subscribed to schedule-change notifications.
+   *
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getChangeNotificationSubscribers() {
+    return this.collection.find({ changeNotificationsEnabled: true }).toArray();
+  }
 }
 
 module.exports = { MaxUserPrefsRepository };
@@ -1,3 +1,5 @@
+const metrics = require("../metrics");
+
 function headerValue(req, name) {
   const value = req.headers[name.toLowerCase()];
   if (Array.isArray(value)) return value[0];
@@ -26,21 +28,32 @@ function isSecretValid(req, config) {
  * Register MAX webhook endpoint on the Express app.
  *
  * @param {import("express").Express} app
- * @param {{botService: {handleUpdate: (update: Record<string, any>) => Promise<void>}, logger: any, config: {webhookPath: string, webhookSecret?: string, webhookSecretHeader?: string}}} deps
+ * @param {{botService: {handleUpdate: (update: Record<string, any>) => Promise<void>, resolveSenderId?: (update: Record<string, any>) => string}, logger: any, config: {webhookPath: string, webhookSecret?: string, webhookSecretHeader?: string}}} deps
  * @returns {void}
  */
 function registerMaxWebhookRoute(app, { botService, logger, config }) {
   app.post(config.webhookPath, async (req, res) => {
+    // Update types come from the request body, so odd values are folded to keep label cardinality low.
+    const rawType = String(req.body?.update_type || "");
+    const updateType = /^[a-z_]{1,40}$/.test(rawType) ? rawType : "unknown";
+    const logFields = { update_type: updateType, userId: botService.resolveSenderId?.(req.body || {}) || null };
+    const updateLogger = logger.child(logFields);
     try {
       if (!isSecretValid(req, config)) {
+        metrics.maxUpdates.inc({ update_type: updateType, outcome: "unauthorized" });
+        updateLogger.warn("MAX webhook secret mismatch");
         res.status(401).json({ ok: false, error: "invalid webhook secret" });
         return;
       }
 
-      await botService.handleUpdate(req.body);
+      updateLogger.debug("MAX update received");
+      // Bot service logs of this update carry its type and sender.
+      await logger.withContext(logFields, () => botService.handleUpdate(req.body));
+      metrics.maxUpdates.inc({ update_type: updateType, outcome: "ok" });
       res.json({ ok: true });
     } catch (error) {
-      logger.error("MAX webhook handler failed", { error: error.message });
+      metrics.maxUpdates.inc({ update_type: updateType, outcome: "error" });
+      updateLogger.error("MAX webhook handler failed", { error: error.message });
       res.status(500).json({ ok: false, error: "internal error" });
     }
   });
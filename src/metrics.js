@@ -0,0 +1,280 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in text exposition format 0.0.4.
+// One process-wide registry, shared like the logger.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {{name: string, help: string, labelNames?: string[]}} options
+   * @param {"counter"|"gauge"|"histogram"} type
+   */
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    /** @type {Map<string, {labels: Record<string, string>, value: any}>} */
+    this.series = new Map();
+  }
+
+  // Unknown labels are dropped and missing ones are empty, so series stay consistent.
+  getSeries(labels, createValue) {
+    const normalized = {};
+    this.labelNames.forEach((name) => {
+      normalized[name] = labels[name] === undefined || labels[name] === null ? "" : String(labels[name]);
+    });
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) this.series.set(key, { labels: normalized, value: createValue() });
+    return this.series.get(key);
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  renderHeader() {
+    const help = this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+    return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, "counter");
+  }
+
+  /**
+   * @param {Record<string, any>} [labels]
+   * @param {number} [value=1]
+   * @returns {void}
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value += value;
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], collect?: (gauge: Gauge) => void}} options
+   */
+  constructor(options) {
+    super(options, "gauge");
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * @param {Record<string, any>} labels
+   * @param {number} value
+   * @returns {void}
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) this.collect(this);
+    const lines = this.renderHeader();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options
+   */
+  constructor(options) {
+    super(options, "histogram");
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Record<string, any>} labels
+   * @param {number} value
+   * @returns {void}
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.value.counts[index] += 1;
+    });
+    series.value.sum += value;
+    series.value.count += 1;
+  }
+
+  /**
+   * Start measuring a duration in seconds.
+   *
+   * @param {Record<string, any>} [labels]
+   * @returns {(extraLabels?: Record<string, any>) => number} stops the timer and records the duration
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, index) => {
+        const bucketLabels = formatLabels({ ...labels, le: formatValue(bound) });
+        lines.push(`${this.name}_bucket${bucketLabels} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    /** @type {Map<string, Metric>} */
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[]}} options
+   * @returns {Counter}
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], collect?: (gauge: Gauge) => void}} options
+   * @returns {Gauge}
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options
+   * @returns {Histogram}
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @returns {string} all metrics in Prometheus text format
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric) => lines.push(...metric.render()));
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+registry.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes.",
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+registry.gauge({
+  name: "nodejs_heap_used_bytes",
+  help: "Used V8 heap size in bytes.",
+  collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed)
+});
+registry.gauge({
+  name: "process_uptime_seconds",
+  help: "Process uptime in seconds.",
+  collect: (gauge) => gauge.set({}, Math.round(process.uptime()))
+});
+
+module.exports = {
+  registry,
+  CONTENT_TYPE: "text/plain; version=0.0.4; charset=utf-8",
+  syncDuration: registry.histogram({
+    name: "omacademy_sync_duration_seconds",
+    help: "Duration of sync runs by outcome (success, rejected, failed).",
+    labelNames: ["outcome", "trigger"],
+    buckets: [5, 10, 30, 60, 120, 300, 600, 1200]
+  }),
+  syncRuns: registry.counter({
+    name: "omacademy_sync_runs_total",
+    help: "Sync runs by outcome (success, rejected, failed, skipped).",
+    labelNames: ["outcome", "trigger"]
+  }),
+  syncLastItems: registry.gauge({
+    name: "omacademy_sync_last_items",
+    help: "Items parsed by the last completed sync (groups, teachers, lessons, teacher_lessons).",
+    labelNames: ["kind"]
+  }),
+  scraperRequestDuration: registry.histogram({
+    name: "omacademy_scraper_request_duration_seconds",
+    help: "Latency of source website requests per attempt.",
+    labelNames: ["page", "outcome"],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]
+  }),
+  scraperRetries: registry.counter({
+    name: "omacademy_scraper_retries_total",
+    help: "Source website requests retried after a failed attempt.",
+    labelNames: ["page"]
+  }),
+  scraperFailures: registry.counter({
+    name: "omacademy_scraper_failures_total",
+    help: "Source website requests that failed after all attempts.",
+    labelNames: ["page"]
+  }),
+  maxUpdates: registry.counter({
+    name: "omacademy_max_updates_total",
+    help: "MAX webhook updates handled by update type and outcome (ok, unauthorized, error).",
+    labelNames: ["update_type", "outcome"]
+  }),
+  maxApiRequestDuration: registry.histogram({
+    name: "omacademy_max_api_request_duration_seconds",
+    help: "Latency of MAX API calls.",
+    labelNames: ["method", "endpoint", "outcome"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]
+  }),
+  reminders: registry.counter({
+    name: "omacademy_reminders_total",
+    help: "Lesson reminders by outcome (sent, failed).",
+    labelNames: ["outcome"]
+  }),
+  rateLimited: registry.counter({
+    name: "omacademy_rate_limited_requests_total",
+    help: "API requests rejected with 429 by rate limit bucket.",
+    labelNames: ["bucket"]
+  })
+};
@@ -0,0 +1,83 @@
+const { shiftIsoDate } = require("./dateUtils");
+
+// Only group-page lessons inside the kept window are comparable between snapshots.
+function countComparableLessons(lessons, fromDate) {
+  return lessons.filter(
+    (lesson) => !String(lesson.groupCode || "").startsWith("tp:") && String(lesson.date || "") >= fromDate
+  ).length;
+}
+
+function hasLessonsBetween(lessons, fromDate, toDate) {
+  return lessons.some((lesson) => lesson.date >= fromDate && lesson.date <= toDate);
+}
+
+function dropPercent(previous, next) {
+  if (!previous) return 0;
+  return ((previous - next) / previous) * 100;
+}
+
+/**
+ * @typedef {Object} PromotionRules
+ * @property {boolean} enabled
+ * @property {number} maxLessonsDropPercent reject when lessons drop by more than this percent (0 disables)
+ * @property {number} maxGroupsDropPercent reject when groups drop by more than this percent (0 disables)
+ * @property {number} minGroups reject when the new snapshot has fewer groups (0 disables)
+ * @property {number} lookaheadDays reject when there are no lessons in this many days from today (0 disables)
+ */
+
+/**
+ * Check a freshly scraped snapshot against the active one.
+ *
+ * @param {{
+ *  rules: PromotionRules,
+ *  candidate: {groupsCount: number, lessons: Array<Record<string, any>>},
+ *  active: {groupsCount: number, lessons: Array<Record<string, any>>},
+ *  today: string,
+ *  keepFromDate: string
+ * }} params
+ * @returns {string[]} human-readable violation reasons, empty when the snapshot can be promoted
+ */
+function evaluatePromotionRules({ rules, candidate, active, today, keepFromDate }) {
+  if (!rules?.enabled) return [];
+
+  const reasons = [];
+
+  if (rules.minGroups > 0 && candidate.groupsCount < rules.minGroups) {
+    reasons.push(`groups count ${candidate.groupsCount} is below minimum ${rules.minGroups}`);
+  }
+
+  if (rules.maxGroupsDropPercent > 0) {
+    const drop = dropPercent(active.groupsCount, candidate.groupsCount);
+    if (drop > rules.maxGroupsDropPercent) {
+      reasons.push(
+        `groups dropped by ${drop.toFixed(1)}% (${active.groupsCount} -> ${candidate.groupsCount}), limit ${rules.maxGroupsDropPercent}%`
+      );
+    }
+  }
+
+  if (rules.maxLessonsDropPercent > 0) {
+    const previous = countComparableLessons(active.lessons, keepFromDate);
+    const next = countComparableLessons(candidate.lessons, keepFromDate);
+    const drop = dropPercent(previous, next);
+    if (drop > rules.maxLessonsDropPercent) {
+      reasons.push(
+        `lessons dropped by ${drop.toFixed(1)}% (${previous} -> ${next}), limit ${rules.maxLessonsDropPercent}%`
+      );
+    }
+  }
+
+  if (rules.lookaheadDays > 0) {
+    const lastDate = shiftIsoDate(today, rules.lookaheadDays - 1);
+    // Vacations are legit: only complain when the active snapshot still has lessons there.
+    if (
+      !hasLessonsBetween(candidate.lessons, today, lastDate) &&
+      hasLessonsBetween(active.lessons, today, lastDate)
+    ) {
+      reasons.push(`no lessons for the next ${rules.lookaheadDays} days`);
+    }
+  }
+
+  return reasons;
+}
+
+module.exports = { evaluatePromotionRules };
@@ -0,0 +1,35 @@
+class RateLimitRepository {
+  /**
+   * @param {import("mongodb").Db} db
+   */
+  constructor(db) {
+    this.collection = db.collection("rateLimits");
+  }
+
+  /**
+   * Ensure the TTL index that drops finished windows.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this.collection.createIndex({ expiresAt: 1 }, { name: "expires_at_ttl", expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Count one request in a window. Atomic, so replicas sharing the database share the quota.
+   *
+   * @param {string} id window counter ID (bucket, client and window start)
+   * @param {Date} expiresAt
+   * @returns {Promise<number>} requests counted in the window including this one
+   */
+  async hit(id, expiresAt) {
+    const doc = await this.collection.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return doc?.count || 1;
+  }
+}
+
+module.exports = { RateLimitRepository };
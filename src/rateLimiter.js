@@ -0,0 +1,141 @@
+const metrics = require("./metrics");
+
+/**
+ * Parse `prefix=max` route quotas, e.g. `/api/schedule=60`.
+ *
+ * @param {string[]} entries
+ * @returns {Array<{prefix: string, max: number}>} longest prefix first
+ */
+function parseRouteQuotas(entries) {
+  return entries
+    .map((entry) => {
+      const match = String(entry).match(/^(\/[^=\s]*)=(\d+)$/);
+      if (!match) throw new Error(`Invalid RATE_LIMIT_ROUTES entry: ${entry} (expected /path=max)`);
+      return { prefix: match[1].replace(/\/+$/, "") || "/", max: Number(match[2]) };
+    })
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+function matchesPrefix(path, prefix) {
+  return prefix === "/" || path === prefix || path.startsWith(`${prefix}/`) || path.startsWith(`${prefix}.`);
+}
+
+class RateLimiter {
+  /**
+   * Fixed-window limiter. Requests with an API key are counted per key, others per client IP
+   * (`req.ip`, so set `trust proxy` behind a reverse proxy).
+   *
+   * @param {{
+   *  repository: import("./rateLimitRepository").RateLimitRepository,
+   *  logger?: any,
+   *  enabled?: boolean,
+   *  windowSeconds?: number,
+   *  defaultMax?: number,
+   *  routeQuotas?: string[]
+   * }} deps
+   */
+  constructor({
+    repository,
+    logger = null,
+    enabled = true,
+    windowSeconds = 60,
+    defaultMax = 120,
+    routeQuotas = []
+  }) {
+    this.repository = repository;
+    this.logger = logger;
+    this.enabled = enabled;
+    this.windowMs = Math.max(1, windowSeconds) * 1000;
+    this.defaultMax = defaultMax;
+    this.routeQuotas = parseRouteQuotas(routeQuotas);
+  }
+
+  /**
+   * @param {string} path
+   * @returns {{bucket: string, max: number}} quota of the longest matching prefix, the shared default otherwise
+   */
+  resolveQuota(path) {
+    const quota = this.routeQuotas.find((item) => matchesPrefix(path, item.prefix));
+    return quota ? { bucket: quota.prefix, max: quota.max } : { bucket: "default", max: this.defaultMax };
+  }
+
+  /**
+   * @param {import("express").Request} req
+   * @returns {string}
+   */
+  resolveClient(req) {
+    if (req.apiKey?.id) return `key:${req.apiKey.id}`;
+    return `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+  }
+
+  /**
+   * Count the request against its quota.
+   *
+   * @param {import("express").Request} req
+   * @param {number} [now]
+   * @returns {Promise<{allowed: boolean, bucket: string, limit: number, remaining: number, resetSeconds: number}|null>}
+   *  null when the route has no quota (`0`)
+   */
+  async consume(req, now = Date.now()) {
+    const { bucket, max } = this.resolveQuota(req.path);
+    if (max <= 0) return null;
+
+    const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+    const windowEnd = windowStart + this.windowMs;
+    const count = await this.repository.hit(
+      `${bucket}|${this.resolveClient(req)}|${windowStart}`,
+      new Date(windowEnd)
+    );
+
+    return {
+      allowed: count <= max,
+      bucket,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetSeconds: Math.max(1, Math.ceil((windowEnd - now) / 1000))
+    };
+  }
+
+  /**
+   * Express middleware. Put it after API key authentication so keyed clients are counted by key.
+   * When MongoDB is unavailable requests are let through.
+   *
+   * @returns {import("express").RequestHandler}
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.enabled) {
+        next();
+        return;
+      }
+
+      let quota = null;
+      try {
+        quota = await this.consume(req);
+      } catch (error) {
+        this.logger?.warn("Rate limit check failed, request allowed", { error: error.message });
+        next();
+        return;
+      }
+      if (!quota) {
+        next();
+        return;
+      }
+
+      res.setHeader("RateLimit-Policy", `${quota.limit};w=${this.windowMs / 1000}`);
+      res.setHeader("RateLimit-Limit", String(quota.limit));
+      res.setHeader("RateLimit-Remaining", String(quota.remaining));
+      res.setHeader("RateLimit-Reset", String(quota.resetSeconds));
+
+      if (!quota.allowed) {
+        metrics.rateLimited.inc({ bucket: quota.bucket });
+        res.setHeader("Retry-After", String(quota.resetSeconds));
+        res.status(429).json({ ok: false, code: "rate_limited", error: "rate limit exceeded" });
+        return;
+      }
+      next();
+    };
+  }
+}
+
+module.exports = { RateLimiter, parseRouteQuotas };
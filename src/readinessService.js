@@ -0,0 +1,190 @@
+const { MaxApiClient } = require("./max/apiClient");
+
+const MINUTE_MS = 60 * 1000;
+
+function ageMinutes(value, now) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return null;
+  return Math.max(0, Math.round((now - time) / MINUTE_MS));
+}
+
+/**
+ * Reject when the promise does not settle in time.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ReadinessService {
+  /**
+   * Thresholds of `0` disable the corresponding check.
+   *
+   * @param {{
+   *  db: import("mongodb").Db,
+   *  scheduleRepository: any,
+   *  timeoutMs?: number,
+   *  maxSnapshotAgeHours?: number,
+   *  maxSourceAgeHours?: number,
+   *  maxSyncRunningMinutes?: number,
+   *  maxApi?: {token: string, apiBaseUrl?: string}|null
+   * }} deps
+   */
+  constructor({
+    db,
+    scheduleRepository,
+    timeoutMs = 5000,
+    maxSnapshotAgeHours = 36,
+    maxSourceAgeHours = 168,
+    maxSyncRunningMinutes = 60,
+    maxApi = null
+  }) {
+    this.db = db;
+    this.scheduleRepository = scheduleRepository;
+    this.timeoutMs = timeoutMs;
+    this.maxSnapshotAgeMinutes = maxSnapshotAgeHours * 60;
+    this.maxSourceAgeMinutes = maxSourceAgeHours * 60;
+    this.maxSyncRunningMinutes = maxSyncRunningMinutes;
+    this.maxApi = maxApi ? new MaxApiClient({ ...maxApi, timeoutMs }) : null;
+  }
+
+  /**
+   * Run all checks. Data checks are skipped when MongoDB does not answer.
+   *
+   * @returns {Promise<{ok: boolean, checkedAt: Date, checks: Record<string, Record<string, any>>}>}
+   */
+  async check() {
+    const now = Date.now();
+    const checks = { mongo: await this.checkMongo() };
+
+    if (checks.mongo.ok) {
+      try {
+        const [meta, lastRun] = await withTimeout(
+          Promise.all([
+            this.scheduleRepository.getActiveSyncMeta(),
+            this.scheduleRepository.getLastSyncRun()
+          ]),
+          this.timeoutMs
+        );
+        checks.snapshot = this.checkSnapshot(meta, now);
+        checks.source = this.checkSource(meta, now);
+        checks.sync = this.checkSync(lastRun, now);
+      } catch (error) {
+        checks.snapshot = { ok: false, error: error.message };
+      }
+    }
+
+    if (this.maxApi) checks.maxApi = await this.checkMaxApi();
+
+    const ok = Object.values(checks).every((item) => item.ok);
+    return { ok, checkedAt: new Date(now), checks };
+  }
+
+  /**
+   * @returns {Promise<Record<string, any>>}
+   */
+  async checkMongo() {
+    const startedAt = Date.now();
+    try {
+      await withTimeout(this.db.command({ ping: 1 }), this.timeoutMs);
+      return { ok: true, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  /**
+   * The active snapshot must exist and have been promoted recently.
+   *
+   * @param {Record<string, any>|null} meta
+   * @param {number} now
+   * @returns {Record<string, any>}
+   */
+  checkSnapshot(meta, now) {
+    if (!meta?.activeSyncId) return { ok: false, error: "no active snapshot" };
+
+    const age = ageMinutes(meta.updatedAt, now);
+    const check = {
+      ok: true,
+      activeSyncId: meta.activeSyncId,
+      updatedAt: meta.updatedAt || null,
+      ageMinutes: age,
+      maxAgeMinutes: this.maxSnapshotAgeMinutes || null
+    };
+    if (this.maxSnapshotAgeMinutes > 0 && (age === null || age > this.maxSnapshotAgeMinutes)) {
+      check.ok = false;
+      check.error = "active snapshot is stale";
+    }
+    return check;
+  }
+
+  /**
+   * The source website must have been updated recently (its own "last updated" header).
+   *
+   * @param {Record<string, any>|null} meta
+   * @param {number} now
+   * @returns {Record<string, any>}
+   */
+  checkSource(meta, now) {
+    const age = ageMinutes(meta?.sourceUpdatedAt, now);
+    const check = {
+      ok: true,
+      sourceUpdatedAt: meta?.sourceUpdatedAt || null,
+      ageMinutes: age,
+      maxAgeMinutes: this.maxSourceAgeMinutes || null
+    };
+    if (this.maxSourceAgeMinutes > 0 && (age === null || age > this.maxSourceAgeMinutes)) {
+      check.ok = false;
+      check.error = age === null ? "source update time is unknown" : "source is stale";
+    }
+    return check;
+  }
+
+  /**
+   * The latest sync run must not stay `running` for too long (a hung or crashed sync).
+   *
+   * @param {Record<string, any>|null} lastRun
+   * @param {number} now
+   * @returns {Record<string, any>}
+   */
+  checkSync(lastRun, now) {
+    const running = lastRun?.status === "running";
+    const check = {
+      ok: true,
+      lastSyncId: lastRun?.syncId || null,
+      lastStatus: lastRun?.status || null,
+      running,
+      runningMinutes: running ? ageMinutes(lastRun.startedAt, now) : null,
+      maxRunningMinutes: this.maxSyncRunningMinutes || null
+    };
+    if (running && this.maxSyncRunningMinutes > 0 && check.runningMinutes > this.maxSyncRunningMinutes) {
+      check.ok = false;
+      check.error = "sync is stuck in running state";
+    }
+    return check;
+  }
+
+  /**
+   * @returns {Promise<Record<string, any>>}
+   */
+  async checkMaxApi() {
+    const startedAt = Date.now();
+    try {
+      await this.maxApi.getMe();
+      return { ok: true, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+}
+
+module.exports = { ReadinessService };
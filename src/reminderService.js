@@ -1,11 +1,8 @@
 const { MaxApiClient } = require("./max/apiClient");
 const { MaxUserPrefsRepository } = require("./max/userPrefsRepository");
-
-function shiftIsoDate(isoDate, deltaDays) {
-  const base = new Date(`${isoDate}T00:00:00Z`);
-  base.setUTCDate(base.getUTCDate() + deltaDays);
-  return base.toISOString().slice(0, 10);
-}
+const { teacherMatchKey } = require("./teacherScheduleService");
+const metrics = require("./metrics");
+const { shiftIsoDate } = require("./dateUtils");
 
 function toRuDate(isoDate) {
   const match = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
@@ -14,31 +11,6 @@ function toRuDate(isoDate) {
   return `${dd}.${mm}.${yyyy}`;
 }
 
-function teacherMatchKey(value) {
-  const normalized = String(value || "")
-    .toLowerCase()
-    .replace(/\./g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!normalized) return "";
-
-  const parts = normalized.split(" ").filter(Boolean);
-  if (!parts.length) return "";
-
-  const surname = parts[0];
-  const initialsRaw = parts.slice(1).join("");
-  if (!initialsRaw) return surname;
-
-  if (parts.length >= 3) {
-    const nameInitial = parts[1][0] || "";
-    const middleInitial = parts[2][0] || "";
-    return `${surname}:${nameInitial}${middleInitial}`;
-  }
-
-  const twoLetters = initialsRaw.slice(0, 2);
-  return `${surname}:${twoLetters}`;
-}
-
 function getTimezoneNow(timezone) {
   const parts = new Intl.DateTimeFormat("en-CA", {
     timeZone: timezone,
@@ -61,62 +33,36 @@ function getTimezoneNow(timezone) {
   };
 }
 
-function parseLessonStartTimes(value) {
-  const defaults = {
-    1: "08:00",
-    2: "10:00",
-    3: "12:00",
-    4: "14:00",
-    5: "16:00",
-    6: "17:50"
-  };
-
-  if (!value) return defaults;
-
-  const map = {};
-  String(value)
-    .split(",")
-    .map((chunk) => chunk.trim())
-    .filter(Boolean)
-    .forEach((chunk) => {
-      const [left, right] = chunk.split("=");
-      const lessonNumber = Number.parseInt(String(left || "").trim(), 10);
-      const hhmm = String(right || "").trim();
-      if (!Number.isFinite(lessonNumber)) return;
-      if (!/^\d{2}:\d{2}$/.test(hhmm)) return;
-      map[lessonNumber] = hhmm;
-    });
-
-  return Object.keys(map).length > 0 ? map : defaults;
-}
-
 class ReminderService {
   /**
    * @param {{
    *  db: import("mongodb").Db,
    *  scheduleRepository: any,
+   *  snapshotCache: import("./snapshotCache").SnapshotCache,
    *  logger: any,
    *  token: string,
    *  apiBaseUrl?: string,
    *  timeoutMs?: number,
    *  timezone: string,
-   *  lessonStartTimes?: string
+   *  bellSchedule: import("./bellSchedule").BellSchedule
    * }} deps
    */
   constructor({
     db,
     scheduleRepository,
+    snapshotCache,
     logger,
     token,
     apiBaseUrl,
     timeoutMs,
     timezone,
-    lessonStartTimes
+    bellSchedule
   }) {
     this.logger = logger;
     this.scheduleRepository = scheduleRepository;
+    this.snapshotCache = snapshotCache;
     this.timezone = timezone;
-    this.lessonStartTimes = parseLessonStartTimes(lessonStartTimes);
+    this.bellSchedule = bellSchedule;
     this.running = false;
 
     this.api = new MaxApiClient({ token, apiBaseUrl, timeoutMs });
@@ -134,12 +80,24 @@ class ReminderService {
 
     try {
       const now = getTimezoneNow(this.timezone);
-      const activeLessonNumbers = Object.entries(this.lessonStartTimes)
-        .filter(([, hhmm]) => hhmm === now.hhmm)
-        .map(([lessonNumber]) => Number.parseInt(lessonNumber, 10))
-        .filter((lessonNumber) => Number.isFinite(lessonNumber));
+      // Reminders fire at the lesson start time of the target date's bell schedule.
+      const activeLessonNumbersByDaysBefore = new Map();
+      [1, 2].forEach((daysBefore) => {
+        const targetDate = shiftIsoDate(now.isoDate, daysBefore);
+        activeLessonNumbersByDaysBefore.set(
+          daysBefore,
+          this.bellSchedule
+            .getLessonNumbers(targetDate)
+            .filter(
+              (lessonNumber) => this.bellSchedule.getLessonTimes(lessonNumber, targetDate)?.start === now.hhmm
+            )
+        );
+      });
 
-      if (activeLessonNumbers.length === 0) return;
+      const hasActiveLessons = Array.from(activeLessonNumbersByDaysBefore.values()).some(
+        (lessonNumbers) => lessonNumbers.length > 0
+      );
+      if (!hasActiveLessons) return;
 
       const users = await this.userPrefsRepository.getReminderSubscribers();
       if (!users.length) return;
@@ -156,6 +114,9 @@ class ReminderService {
         if (!daysBeforeList.length) continue;
 
         for (const daysBefore of daysBeforeList) {
+          const activeLessonNumbers = activeLessonNumbersByDaysBefore.get(daysBefore);
+          if (!activeLessonNumbers.length) continue;
+
           const targetDate = shiftIsoDate(now.isoDate, daysBefore);
           const count = await this.processUserReminder({
             user,
@@ -198,7 +159,7 @@ class ReminderService {
     if (role === "student") {
       if (!user.preferredGroupCode) return 0;
       targetRef = `group:${user.preferredGroupCode}`;
-      lessons = await this.scheduleRepository.getActiveLessons({
+      lessons = await this.snapshotCache.getLessons({
         groupCode: user.preferredGroupCode,
         date: targetDate
       });
@@ -206,8 +167,7 @@ class ReminderService {
       const teacherKey = user.preferredTeacherKey || teacherMatchKey(user.preferredTeacherName);
       if (!teacherKey) return 0;
       targetRef = `teacher:${teacherKey}`;
-      const dayLessons = await this.scheduleRepository.getActiveLessons({ date: targetDate });
-      lessons = dayLessons.filter((lesson) => teacherMatchKey(lesson.teacher) === teacherKey);
+      lessons = await this.snapshotCache.getLessons({ date: targetDate, teacherKey });
     }
 
     if (!lessons.length) return 0;
@@ -247,7 +207,9 @@ class ReminderService {
           format: "markdown"
         });
         sentCount += 1;
+        metrics.reminders.inc({ outcome: "sent" });
       } catch (error) {
+        metrics.reminders.inc({ outcome: "failed" });
         this.logger.warn("Reminder send failed", {
           userId,
           role,
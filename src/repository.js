@@ -1,3 +1,99 @@
+const { ObjectId } = require("mongodb");
+const { applyOverridesToLessons, collectOverrideExtras } = require("./scheduleOverrides");
+
+/**
+ * Drop an index by name, ignoring missing index or collection.
+ *
+ * @param {import("mongodb").Collection} collection
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function dropIndexIfExists(collection, name) {
+  try {
+    await collection.dropIndex(name);
+  } catch (error) {
+    // 26: NamespaceNotFound, 27: IndexNotFound.
+    if (error && (error.code === 26 || error.code === 27)) return;
+    throw error;
+  }
+}
+
+// Exact match for one value, `$in` for several.
+function matchOneOrMany(value, cast = String) {
+  return Array.isArray(value) ? { $in: value.map(cast) } : cast(value);
+}
+
+/**
+ * Build lessons query for one snapshot from API-style filters.
+ *
+ * @param {string|null} syncId null for the lesson archive
+ * @param {Record<string, any>} filters
+ * @returns {Record<string, any>}
+ */
+function buildLessonQuery(syncId, filters) {
+  // Archived lessons are not bound to a snapshot.
+  const query = syncId ? { syncId } : {};
+
+  // Exact-match filters for predictable API behavior.
+  if (filters.group) {
+    query.groupName = matchOneOrMany(filters.group);
+    // Exclude synthetic teacher-page rows from group queries.
+    query.groupCode = { $not: /^tp:/ };
+  }
+  if (filters.groupCode) query.groupCode = matchOneOrMany(filters.groupCode);
+  if (filters.date) {
+    query.date = filters.date;
+  } else if (filters.from || filters.to) {
+    query.date = {};
+    if (filters.from) query.date.$gte = filters.from;
+    if (filters.to) query.date.$lte = filters.to;
+  }
+  if (filters.lessonNumber) query.lessonNumber = matchOneOrMany(filters.lessonNumber, Number);
+  if (filters.teacher) query.teacher = matchOneOrMany(filters.teacher);
+  if (filters.room) query.room = matchOneOrMany(filters.room);
+
+  return query;
+}
+
+/**
+ * Build a comparator from a MongoDB-style sort list.
+ *
+ * @param {Array<[string, 1|-1]>} sort
+ * @returns {(a: Record<string, any>, b: Record<string, any>) => number}
+ */
+function compareBySort(sort) {
+  return (a, b) => {
+    for (const [field, direction] of sort) {
+      const left = a[field] ?? "";
+      const right = b[field] ?? "";
+      if (left === right) continue;
+      const result =
+        typeof left === "number" && typeof right === "number"
+          ? left - right
+          : String(left).localeCompare(String(right));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+}
+
+const DEFAULT_LESSON_SORT = [
+  ["date", 1],
+  ["lessonNumber", 1],
+  ["groupName", 1],
+  ["columnIndex", 1]
+];
+
+// Fields overrides match on; kept in projected queries while overrides are active.
+const OVERRIDE_MATCH_FIELDS = ["date", "lessonNumber", "groupCode", "groupName", "teacher", "room"];
+
+const ARCHIVE_CURSOR_ID = "archive";
+
+function toOverride(doc) {
+  const { _id, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
 class ScheduleRepository {
   /**
    * @param {import("mongodb").Db} db
@@ -8,8 +104,13 @@ class ScheduleRepository {
     this.teachers = db.collection("teachers");
     this.lessons = db.collection("lessons");
     this.reminderLogs = db.collection("reminderLogs");
+    this.changeNotificationLogs = db.collection("changeNotificationLogs");
+    this.conflictNotificationLogs = db.collection("conflictNotificationLogs");
     this.meta = db.collection("meta");
     this.syncRuns = db.collection("syncRuns");
+    this.lessonChanges = db.collection("lessonChanges");
+    this.scheduleOverrides = db.collection("scheduleOverrides");
+    this.lessonArchive = db.collection("lessonArchive");
   }
 
   /**
@@ -18,10 +119,18 @@ class ScheduleRepository {
    * @returns {Promise<void>}
    */
   async ensureIndexes() {
-    // Groups are uniquely identified by code from cgXXX.htm.
-    await this.groups.createIndex({ code: 1 }, { unique: true, name: "uniq_group_code" });
+    // Groups and teachers are stored per snapshot, so codes/keys are unique within one sync only.
+    await dropIndexIfExists(this.groups, "uniq_group_code");
+    await dropIndexIfExists(this.teachers, "uniq_teacher_key");
+    await this.groups.createIndex(
+      { lastSeenSyncId: 1, code: 1 },
+      { unique: true, name: "uniq_group_code_by_sync" }
+    );
     await this.groups.createIndex({ lastSeenSyncId: 1, name: 1 });
-    await this.teachers.createIndex({ key: 1 }, { unique: true, name: "uniq_teacher_key" });
+    await this.teachers.createIndex(
+      { lastSeenSyncId: 1, key: 1 },
+      { unique: true, name: "uniq_teacher_key_by_sync" }
+    );
     await this.teachers.createIndex({ lastSeenSyncId: 1, name: 1 });
 
     await this.lessons.createIndex(
@@ -37,13 +146,39 @@ class ScheduleRepository {
       },
       { unique: true, name: "uniq_lesson_by_sync" }
     );
+    // Range queries filter by entity first, then by date range and lesson number.
+    await dropIndexIfExists(this.lessons, "syncId_1_teacher_1");
+    await dropIndexIfExists(this.lessons, "syncId_1_room_1");
     await this.lessons.createIndex({ syncId: 1, groupName: 1, date: 1, lessonNumber: 1 });
-    await this.lessons.createIndex({ syncId: 1, teacher: 1 });
-    await this.lessons.createIndex({ syncId: 1, room: 1 });
+    await this.lessons.createIndex({ syncId: 1, teacher: 1, date: 1, lessonNumber: 1 });
+    await this.lessons.createIndex({ syncId: 1, room: 1, date: 1, lessonNumber: 1 });
+    await this.lessons.createIndex({ syncId: 1, date: 1, lessonNumber: 1, groupName: 1, columnIndex: 1 });
     await this.reminderLogs.createIndex({ reminderKey: 1 }, { unique: true, name: "uniq_reminder_key" });
     await this.reminderLogs.createIndex({ createdAt: -1 }, { name: "idx_reminder_created_at" });
+    await this.changeNotificationLogs.createIndex(
+      { notificationKey: 1 },
+      { unique: true, name: "uniq_change_notification_key" }
+    );
+    await this.changeNotificationLogs.createIndex(
+      { createdAt: -1 },
+      { name: "idx_change_notification_created_at" }
+    );
+    await this.conflictNotificationLogs.createIndex(
+      { notificationKey: 1 },
+      { unique: true, name: "uniq_conflict_notification_key" }
+    );
 
     await this.syncRuns.createIndex({ startedAt: -1 });
+    await this.syncRuns.createIndex({ syncId: 1 });
+    await this.syncRuns.createIndex({ status: 1, startedAt: -1 });
+    await this.lessonChanges.createIndex({ syncId: 1, date: 1, groupCode: 1, lessonNumber: 1 });
+    await this.lessonChanges.createIndex({ syncId: 1, teachers: 1 });
+    await this.scheduleOverrides.createIndex({ expiredAt: 1, createdAt: -1 });
+    await this.lessonArchive.createIndex({ date: 1, groupCode: 1, lessonNumber: 1 });
+    await this.lessonArchive.createIndex({ groupName: 1, date: 1 });
+    await this.lessonArchive.createIndex({ teacher: 1, date: 1 });
+    await this.lessonArchive.createIndex({ room: 1, date: 1 });
+    await this.lessonArchive.createIndex({ subject: 1, date: 1 });
   }
 
   /**
@@ -82,19 +217,34 @@ class ScheduleRepository {
   }
 
   /**
-   * Store a complete synchronization snapshot and promote it as active.
+   * Record that a finished (rejected) run was promoted later. `finishedAt` stays the time the run ended.
+   *
+   * @param {string} syncId
+   * @param {{changes: Record<string, any>|null, promotedBy: string}} params
+   * @returns {Promise<void>}
+   */
+  async markSyncRunPromoted(syncId, { changes, promotedBy }) {
+    await this.syncRuns.updateOne(
+      { syncId },
+      { $set: { status: "success", changes, promotedAt: new Date(), promotedBy } }
+    );
+  }
+
+  /**
+   * Store a complete synchronization snapshot and promote it as active unless `promote` is false.
+   * Older snapshots are kept until `pruneSnapshots` removes them.
    *
-   * @param {{syncId: string, groups: Array<Record<string, any>>, teachers?: Array<Record<string, any>>, lessons: Array<Record<string, any>>, sourceUpdatedAt: string|null}} params
+   * @param {{syncId: string, groups: Array<Record<string, any>>, teachers?: Array<Record<string, any>>, lessons: Array<Record<string, any>>, sourceUpdatedAt: string|null, promote?: boolean}} params
    * @returns {Promise<void>}
    */
-  async saveSnapshot({ syncId, groups, teachers = [], lessons, sourceUpdatedAt }) {
+  async saveSnapshot({ syncId, groups, teachers = [], lessons, sourceUpdatedAt, promote = true }) {
     const now = new Date();
 
     if (groups.length > 0) {
       await this.groups.bulkWrite(
         groups.map((group) => ({
           updateOne: {
-            filter: { code: group.code },
+            filter: { code: group.code, lastSeenSyncId: syncId },
             update: {
               $set: {
                 name: group.name,
@@ -116,7 +266,7 @@ class ScheduleRepository {
       await this.teachers.bulkWrite(
         teachers.map((teacher) => ({
           updateOne: {
-            filter: { key: teacher.key },
+            filter: { key: teacher.key, lastSeenSyncId: syncId },
             update: {
               $set: {
                 key: teacher.key,
@@ -165,22 +315,104 @@ class ScheduleRepository {
       );
     }
 
+    if (promote) {
+      await this.promoteSnapshot(syncId, sourceUpdatedAt);
+    }
+  }
+
+  /**
+   * Switch the active snapshot pointer to a stored sync.
+   *
+   * @param {string} syncId
+   * @param {string|Date|null} sourceUpdatedAt
+   * @returns {Promise<void>}
+   */
+  async promoteSnapshot(syncId, sourceUpdatedAt) {
     await this.meta.updateOne(
       { _id: "schedule" },
       {
         $set: {
           activeSyncId: syncId,
           sourceUpdatedAt: sourceUpdatedAt ? new Date(sourceUpdatedAt) : null,
-          updatedAt: now
+          updatedAt: new Date()
         }
       },
       { upsert: true }
     );
+  }
+
+  /**
+   * Mark the active schedule as changed without a new snapshot (overrides, bell schedules, calendar),
+   * so cached responses and ETags are renewed.
+   *
+   * @returns {Promise<void>}
+   */
+  async bumpScheduleRevision() {
+    await this.meta.updateOne(
+      { _id: "schedule" },
+      { $inc: { revision: 1 }, $set: { revisedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Delete stored snapshots and their lesson changes except the latest successful ones, the latest rejected one
+   * (so it can still be force-promoted), the active one and running syncs.
+   *
+   * @param {number} keepCount number of latest successful snapshots to keep
+   * @returns {Promise<string[]>} sync IDs that are kept
+   */
+  async pruneSnapshots(keepCount) {
+    const meta = await this.getActiveSyncMeta();
+    const [latest, latestRejected, running] = await Promise.all([
+      this.syncRuns
+        .find({ status: "success" }, { projection: { syncId: 1 } })
+        .sort({ startedAt: -1 })
+        .limit(Math.max(1, keepCount))
+        .toArray(),
+      this.syncRuns
+        .find({ status: "rejected" }, { projection: { syncId: 1 } })
+        .sort({ startedAt: -1 })
+        .limit(1)
+        .toArray(),
+      this.syncRuns.find({ status: "running" }, { projection: { syncId: 1 } }).toArray()
+    ]);
+
+    const keep = new Set([...latest, ...latestRejected, ...running].map((run) => run.syncId));
+    if (meta?.activeSyncId) keep.add(meta.activeSyncId);
+    const keepIds = Array.from(keep);
+
+    await this.lessons.deleteMany({ syncId: { $nin: keepIds } });
+    await this.groups.deleteMany({ lastSeenSyncId: { $nin: keepIds } });
+    await this.teachers.deleteMany({ lastSeenSyncId: { $nin: keepIds } });
+    await this.lessonChanges.deleteMany({ syncId: { $nin: keepIds } });
+    await this.syncRuns.updateMany(
+      { syncId: { $nin: keepIds }, status: { $ne: "running" }, prunedAt: { $exists: false } },
+      { $set: { prunedAt: new Date() } }
+    );
+
+    return keepIds;
+  }
 
-    // Keep only the currently active snapshot for fast read queries.
-    await this.lessons.deleteMany({ syncId: { $ne: syncId } });
-    await this.groups.deleteMany({ lastSeenSyncId: { $ne: syncId } });
-    await this.teachers.deleteMany({ lastSeenSyncId: { $ne: syncId } });
+  /**
+   * List stored (not pruned) successful and rejected snapshots with their sync run metadata.
+   *
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listSnapshots() {
+    const meta = await this.getActiveSyncMeta();
+    const runs = await this.syncRuns
+      .find(
+        { status: { $in: ["success", "rejected"] }, prunedAt: { $exists: false } },
+        { projection: { _id: 0 } }
+      )
+      .sort({ startedAt: -1 })
+      .toArray();
+
+    return runs.map((run) => ({
+      ...run,
+      active: run.syncId === meta?.activeSyncId
+    }));
   }
 
   /**
@@ -222,33 +454,350 @@ class ScheduleRepository {
       .toArray();
   }
 
+  /**
+   * Get one active teacher by directory key (`cp:<code>` or `name:<name>`).
+   *
+   * @param {string} key
+   * @returns {Promise<Record<string, any>|null>}
+   */
+  async getActiveTeacherByKey(key) {
+    const meta = await this.getActiveSyncMeta();
+    if (!meta?.activeSyncId) return null;
+
+    return this.teachers.findOne({ lastSeenSyncId: meta.activeSyncId, key: String(key) });
+  }
+
   /**
    * Get lessons from the active snapshot with optional exact-match filters.
+   * A `date`/`from` filter before the first day kept in the snapshot also returns archived days.
+   * `group`, `groupCode`, `teacher`, `room` and `lessonNumber` accept one value or an array.
    *
-   * @param {{group?: string, groupCode?: string|number, date?: string, teacher?: string, room?: string}} [filters]
+   * @param {{
+   *  group?: string|string[],
+   *  groupCode?: string|number|Array<string|number>,
+   *  date?: string,
+   *  from?: string,
+   *  to?: string,
+   *  lessonNumber?: number|number[],
+   *  teacher?: string|string[],
+   *  room?: string|string[]
+   * }} [filters]
+   * @param {{applyOverrides?: boolean}} [options] pass `false` to read the scraped snapshot as is
    * @returns {Promise<Array<Record<string, any>>>}
    */
-  async getActiveLessons(filters = {}) {
+  async getActiveLessons(filters = {}, { applyOverrides = true } = {}) {
     const meta = await this.getActiveSyncMeta();
     if (!meta?.activeSyncId) return [];
 
-    const query = { syncId: meta.activeSyncId };
+    const lessons = await this.findLessons(meta.activeSyncId, filters, {
+      sort: { date: 1, lessonNumber: 1, groupName: 1, columnIndex: 1 }
+    });
+    if (!applyOverrides) return lessons;
+
+    return this.applyActiveOverrides(meta.activeSyncId, lessons, filters, DEFAULT_LESSON_SORT);
+  }
 
-    // Exact-match filters for predictable API behavior.
-    if (filters.group) {
-      query.groupName = filters.group;
-      // Exclude synthetic teacher-page rows from group queries.
-      query.groupCode = { $not: /^tp:/ };
+  /**
+   * Layer active manual overrides on top of lessons read from a snapshot.
+   *
+   * @param {string} syncId
+   * @param {Array<Record<string, any>>} lessons rows matching `filters`
+   * @param {Record<string, any>} filters
+   * @param {Array<[string, 1|-1]>|null} sort re-sort with lessons added or moved in; null keeps rows in place
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async applyActiveOverrides(syncId, lessons, filters, sort) {
+    let overrides = await this.listActiveOverrides();
+    if (!overrides.length) return lessons;
+
+    // Archived days were stored with overrides already applied.
+    const archiveBefore = await this.getArchiveBoundary(syncId, filters);
+    if (archiveBefore) {
+      overrides = overrides.filter(
+        (override) => ![override.date, override.changes?.date].some((date) => date && date < archiveBefore)
+      );
+      if (!overrides.length) return lessons;
     }
-    if (filters.groupCode) query.groupCode = String(filters.groupCode);
-    if (filters.date) query.date = filters.date;
-    if (filters.teacher) query.teacher = filters.teacher;
-    if (filters.room) query.room = filters.room;
 
-    return this.lessons
-      .find(query)
-      .sort({ date: 1, lessonNumber: 1, groupName: 1, columnIndex: 1 })
+    const result = applyOverridesToLessons(lessons, overrides, filters);
+    if (!sort) return result;
+
+    // Moved lessons may come from rows outside the filters, so read their source slots.
+    const sourceSlots = overrides
+      .filter((override) => override.action === "move")
+      .map((override) =>
+        override.lessonNumber
+          ? { date: override.date, lessonNumber: override.lessonNumber }
+          : { date: override.date }
+      );
+    const sourceLessons = sourceSlots.length
+      ? await this.lessons.find({ syncId, $or: sourceSlots }).toArray()
+      : [];
+
+    const extras = collectOverrideExtras(overrides, sourceLessons, filters);
+    if (!extras.length) return result;
+    return result.concat(extras).sort(compareBySort(sort));
+  }
+
+  /**
+   * Query active lessons with projection, sorting and offset pagination pinned to one snapshot.
+   * A cursor from a snapshot that is no longer active, or whose first date moved since (past days were
+   * archived and deleted, which shifts offsets), is rejected with `cursor_expired`.
+   * With `archive`, only the lesson archive is queried; archiving also moves the first date.
+   *
+   * @param {Record<string, any>} filters same as `getActiveLessons`
+   * @param {{
+   *  fields?: string[]|null,
+   *  sort: Array<[string, 1|-1]>,
+   *  limit?: number|null,
+   *  cursor?: {syncId: string, firstDate: string|null, offset: number}|null,
+   *  archive?: boolean
+   * }} options
+   * @returns {Promise<{ok: true, syncId: string|null, firstDate: string|null, lessons: Array<Record<string, any>>, nextOffset: number|null}|{ok: false, code: "cursor_expired", error: string}>}
+   */
+  async queryActiveLessons(filters, { fields = null, sort, limit = null, cursor = null, archive = false }) {
+    const meta = await this.getActiveSyncMeta();
+    const activeSyncId = meta?.activeSyncId || null;
+    // Archive pages are not bound to a snapshot; the cursor carries a fixed marker instead.
+    const syncId = archive ? ARCHIVE_CURSOR_ID : activeSyncId;
+    const firstDate = limit && activeSyncId ? await this.getSnapshotFirstDate(activeSyncId) : null;
+    if (cursor && (cursor.syncId !== syncId || cursor.firstDate !== firstDate)) {
+      return {
+        ok: false,
+        code: "cursor_expired",
+        error: "schedule was updated since the first page, restart without cursor"
+      };
+    }
+    if (!syncId) return { ok: true, syncId: null, firstDate: null, lessons: [], nextOffset: null };
+
+    // Append tie-breakers so pages never overlap for equal sort keys.
+    const sortSpec = {};
+    sort.forEach(([field, direction]) => {
+      sortSpec[field] = direction;
+    });
+    ["date", "lessonNumber", "groupName", "columnIndex", "_id"].forEach((field) => {
+      if (!(field in sortSpec)) sortSpec[field] = 1;
+    });
+
+    let projection = null;
+    if (fields) {
+      projection = { _id: 0 };
+      fields.concat(OVERRIDE_MATCH_FIELDS, "archivedAt").forEach((field) => {
+        projection[field] = 1;
+      });
+    }
+    const sortList = Object.entries(sortSpec).filter(([field]) => field !== "_id");
+
+    const offset = cursor?.offset || 0;
+    const readRows = (skip, rowsLimit) =>
+      archive
+        ? this.findArchivedLessons(filters, { sort: sortSpec, projection, skip, limit: rowsLimit })
+        : this.findLessons(activeSyncId, filters, { sort: sortSpec, projection, skip, limit: rowsLimit });
+
+    if (!limit) {
+      const lessons = await readRows(0, null);
+      return {
+        ok: true,
+        syncId,
+        firstDate,
+        lessons: archive ? lessons : await this.applyActiveOverrides(activeSyncId, lessons, filters, sortList),
+        nextOffset: null
+      };
+    }
+
+    // Read one extra row to know whether another page exists.
+    const rows = await readRows(offset, limit + 1);
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    // Offsets count stored rows: overrides change rows in place, added lessons come with the first page.
+    const lessons = archive
+      ? page
+      : await this.applyActiveOverrides(activeSyncId, page, filters, offset === 0 ? sortList : null);
+    return {
+      ok: true,
+      syncId,
+      firstDate,
+      lessons,
+      nextOffset: hasMore ? offset + limit : null
+    };
+  }
+
+  /**
+   * Read lessons of a snapshot. When the date filter starts before the first date the snapshot
+   * still has, archived days before that date are added with `$unionWith`.
+   *
+   * @param {string} syncId
+   * @param {Record<string, any>} filters
+   * @param {{sort: Record<string, 1|-1>, projection?: Record<string, 0|1>|null, skip?: number, limit?: number|null}} options
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async findLessons(syncId, filters, { sort, projection = null, skip = 0, limit = null }) {
+    const query = buildLessonQuery(syncId, filters);
+    const archiveBefore = await this.getArchiveBoundary(syncId, filters);
+    if (!archiveBefore) {
+      let findCursor = this.lessons.find(query).sort(sort);
+      if (projection) findCursor = findCursor.project(projection);
+      if (skip) findCursor = findCursor.skip(skip);
+      if (limit) findCursor = findCursor.limit(limit);
+      return findCursor.toArray();
+    }
+
+    const archiveQuery = { $and: [buildLessonQuery(null, filters), { date: { $lt: archiveBefore } }] };
+    const pipeline = [
+      { $match: query },
+      { $unionWith: { coll: this.lessonArchive.collectionName, pipeline: [{ $match: archiveQuery }] } },
+      { $sort: sort }
+    ];
+    if (skip) pipeline.push({ $skip: skip });
+    if (limit) pipeline.push({ $limit: limit });
+    if (projection) pipeline.push({ $project: projection });
+    return this.lessons.aggregate(pipeline).toArray();
+  }
+
+  /**
+   * Read archived lessons only.
+   *
+   * @param {Record<string, any>} filters
+   * @param {{sort: Record<string, 1|-1>, projection?: Record<string, 0|1>|null, skip?: number, limit?: number|null}} options
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async findArchivedLessons(filters, { sort, projection = null, skip = 0, limit = null }) {
+    let findCursor = this.lessonArchive.find(buildLessonQuery(null, filters)).sort(sort);
+    if (projection) findCursor = findCursor.project(projection);
+    if (skip) findCursor = findCursor.skip(skip);
+    if (limit) findCursor = findCursor.limit(limit);
+    return findCursor.toArray();
+  }
+
+  /**
+   * First date served from the snapshot when a query also needs archived days, otherwise null.
+   * Only explicit `date`/`from` filters reach into the archive.
+   *
+   * @param {string} syncId
+   * @param {Record<string, any>} filters
+   * @returns {Promise<string|null>}
+   */
+  async getArchiveBoundary(syncId, filters) {
+    const from = filters.date || filters.from;
+    if (!from) return null;
+
+    // An empty snapshot serves nothing, so every archived day qualifies.
+    const firstDate = (await this.getSnapshotFirstDate(syncId)) || "9999-12-31";
+    return from < firstDate ? firstDate : null;
+  }
+
+  /**
+   * @param {string} syncId
+   * @returns {Promise<string|null>} earliest lesson date kept in the snapshot
+   */
+  async getSnapshotFirstDate(syncId) {
+    const first = await this.lessons.findOne(
+      { syncId },
+      { sort: { date: 1 }, projection: { _id: 0, date: 1 } }
+    );
+    return first?.date || null;
+  }
+
+  /**
+   * Store the final observed state of past days. Everything archived for the dates from `from`
+   * to `to` is replaced, so lessons that disappeared from a day since the last run leave the archive too.
+   *
+   * @param {{from: string, to: string}} range archived dates
+   * @param {Array<Record<string, any>>} lessons all lessons of the range
+   * @returns {Promise<number>} archived lessons count
+   */
+  async archiveLessons({ from, to }, lessons) {
+    const now = new Date();
+    await this.lessonArchive.bulkWrite(
+      [
+        { deleteMany: { filter: { date: { $gte: from, $lte: to } } } },
+        ...lessons.map(({ _id, ...lesson }) => ({
+          insertOne: { document: { ...lesson, archivedAt: now } }
+        }))
+      ],
+      { ordered: true }
+    );
+    return lessons.length;
+  }
+
+  /**
+   * Get rooms referenced by active lessons with usage counters.
+   * Teacher-page rows duplicate group rows, so they are not counted.
+   *
+   * @returns {Promise<Array<{room: string, lessonsCount: number}>>}
+   */
+  async getActiveRooms() {
+    const meta = await this.getActiveSyncMeta();
+    if (!meta?.activeSyncId) return [];
+
+    const rows = await this.lessons
+      .aggregate([
+        { $match: { syncId: meta.activeSyncId, room: { $nin: [null, ""] } } },
+        {
+          $group: {
+            _id: "$room",
+            lessonsCount: {
+              $sum: { $cond: [{ $regexMatch: { input: "$groupCode", regex: /^tp:/ } }, 0, 1] }
+            }
+          }
+        }
+      ])
+      .toArray();
+
+    return rows.map((row) => ({ room: row._id, lessonsCount: row.lessonsCount }));
+  }
+
+  /**
+   * Get rooms occupied in one lesson slot of the active snapshot.
+   *
+   * @param {string} date
+   * @param {number} lessonNumber
+   * @returns {Promise<string[]>}
+   */
+  async getBusyRooms(date, lessonNumber) {
+    const meta = await this.getActiveSyncMeta();
+    if (!meta?.activeSyncId) return [];
+
+    // Read full rows rather than `distinct` so cancelled and moved lessons free their rooms.
+    const lessons = await this.getActiveLessons({ date, lessonNumber });
+    return Array.from(new Set(lessons.map((lesson) => lesson.room).filter(Boolean)));
+  }
+
+  /**
+   * Get source day labels (e.g. `"Пт-1"`) by date from the active snapshot.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getActiveDayLabels(from, to) {
+    const meta = await this.getActiveSyncMeta();
+    if (!meta?.activeSyncId) return new Map();
+
+    const rows = await this.lessons
+      .aggregate([
+        {
+          $match: {
+            syncId: meta.activeSyncId,
+            date: { $gte: from, $lte: to },
+            dayLabel: { $nin: [null, ""] }
+          }
+        },
+        { $group: { _id: "$date", dayLabel: { $first: "$dayLabel" } } }
+      ])
       .toArray();
+
+    return new Map(rows.map((row) => [row._id, row.dayLabel]));
+  }
+
+  /**
+   * Get all lessons of a stored snapshot, active or not.
+   *
+   * @param {string} syncId
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getSnapshotLessons(syncId) {
+    return this.lessons.find({ syncId }).toArray();
   }
 
   /**
@@ -260,6 +809,139 @@ class ScheduleRepository {
     return this.syncRuns.find().sort({ startedAt: -1 }).limit(1).next();
   }
 
+  /**
+   * Get a synchronization run record by sync ID.
+   *
+   * @param {string} syncId
+   * @returns {Promise<Record<string, any>|null>}
+   */
+  async getSyncRun(syncId) {
+    return this.syncRuns.findOne({ syncId });
+  }
+
+  /**
+   * Record that a stored snapshot has been re-activated.
+   *
+   * @param {string} syncId
+   * @param {string} trigger
+   * @returns {Promise<void>}
+   */
+  async markSnapshotActivated(syncId, trigger) {
+    await this.syncRuns.updateOne(
+      { syncId },
+      {
+        $set: {
+          lastActivatedAt: new Date(),
+          lastActivatedBy: trigger
+        }
+      }
+    );
+  }
+
+  /**
+   * Store lesson changes detected between the previous and the given sync.
+   *
+   * @param {string} syncId
+   * @param {string|null} previousSyncId
+   * @param {Array<Record<string, any>>} changes
+   * @returns {Promise<void>}
+   */
+  async saveLessonChanges(syncId, previousSyncId, changes) {
+    if (!changes.length) return;
+
+    const now = new Date();
+    await this.lessonChanges.insertMany(
+      changes.map((change) => ({
+        ...change,
+        syncId,
+        previousSyncId,
+        createdAt: now
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Get lesson changes recorded for a sync with optional exact-match filters.
+   *
+   * @param {string} syncId
+   * @param {{group?: string, groupCode?: string|number, date?: string, teacher?: string}} [filters]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getLessonChanges(syncId, filters = {}) {
+    const query = { syncId };
+
+    if (filters.group) query.groupName = filters.group;
+    if (filters.groupCode) query.groupCode = String(filters.groupCode);
+    if (filters.date) query.date = filters.date;
+    if (filters.teacher) query.teachers = filters.teacher;
+
+    return this.lessonChanges
+      .find(query, { projection: { _id: 0 } })
+      .sort({ date: 1, groupCode: 1, lessonNumber: 1 })
+      .toArray();
+  }
+
+  /**
+   * Get manual overrides that are still applied, newest first.
+   *
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listActiveOverrides() {
+    const docs = await this.scheduleOverrides.find({ expiredAt: null }).sort({ createdAt: -1 }).toArray();
+    return docs.map(toOverride);
+  }
+
+  /**
+   * Get manual overrides, newest first.
+   *
+   * @param {{includeExpired?: boolean}} [options]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listOverrides({ includeExpired = false } = {}) {
+    if (!includeExpired) return this.listActiveOverrides();
+    const docs = await this.scheduleOverrides.find({}).sort({ createdAt: -1 }).toArray();
+    return docs.map(toOverride);
+  }
+
+  /**
+   * Store a manual override.
+   *
+   * @param {Record<string, any>} override validated override
+   * @returns {Promise<Record<string, any>>} stored override with `id`
+   */
+  async insertOverride(override) {
+    const doc = { ...override, createdAt: new Date(), expiredAt: null, expiredBySyncId: null };
+    const result = await this.scheduleOverrides.insertOne(doc);
+    return toOverride({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * Delete a manual override.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} true when an override was deleted
+   */
+  async deleteOverride(id) {
+    if (!ObjectId.isValid(id)) return false;
+    const result = await this.scheduleOverrides.deleteOne({ _id: new ObjectId(id) });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Mark an override as expired because the given sync already reflects it.
+   *
+   * @param {string} id
+   * @param {string} syncId
+   * @returns {Promise<void>}
+   */
+  async expireOverride(id, syncId) {
+    await this.scheduleOverrides.updateOne(
+      { _id: new ObjectId(id), expiredAt: null },
+      { $set: { expiredAt: new Date(), expiredBySyncId: syncId } }
+    );
+  }
+
   /**
    * Delete old lessons from active snapshot.
    * Keeps lessons with `date >= keepFromDate`.
@@ -297,6 +979,44 @@ class ScheduleRepository {
       throw error;
     }
   }
+
+  /**
+   * Persist schedule-change notification marker and skip duplicates.
+   *
+   * @param {{notificationKey: string, userId: string, role: string, syncId: string, date: string, lessonNumber: number, targetRef: string}} payload
+   * @returns {Promise<boolean>} true when inserted, false when duplicate
+   */
+  async registerChangeNotificationSend(payload) {
+    try {
+      await this.changeNotificationLogs.insertOne({
+        ...payload,
+        createdAt: new Date()
+      });
+      return true;
+    } catch (error) {
+      if (error && error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Persist timetable-conflict notification marker and skip duplicates.
+   *
+   * @param {{notificationKey: string, userId: string, syncId: string, conflictKey: string, date: string, lessonNumber: number}} payload
+   * @returns {Promise<boolean>} true when inserted, false when duplicate
+   */
+  async registerConflictNotificationSend(payload) {
+    try {
+      await this.conflictNotificationLogs.insertOne({
+        ...payload,
+        createdAt: new Date()
+      });
+      return true;
+    } catch (error) {
+      if (error && error.code === 11000) return false;
+      throw error;
+    }
+  }
 }
 
 module.exports = { ScheduleRepository };
@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const { zonedTimeToDate } = require("./bellSchedule");
+const { getIsoDateInTimezone } = require("./dateUtils");
+
+function latestDate(values) {
+  const times = values.filter(Boolean).map((value) => new Date(value).getTime()).filter(Number.isFinite);
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+class ResponseCache {
+  /**
+   * Conditional GET and in-process caching of schedule responses.
+   *
+   * A response version is the active sync ID, the schedule revision (bumped on override, bell and calendar
+   * changes) and today's date, since default ranges and the archive boundary move at midnight.
+   * Versions are read from `meta`, so replicas agree on them without talking to each other.
+   * The revision watcher reloads in-memory settings before a new revision is cached.
+   *
+   * @param {{
+   *  scheduleRepository: any,
+   *  timezone: string,
+   *  revisionWatcher?: import("./revisionWatcher").RevisionWatcher|null,
+   *  enabled?: boolean,
+   *  maxEntries?: number,
+   *  maxBytes?: number
+   * }} deps
+   */
+  constructor({
+    scheduleRepository,
+    timezone,
+    revisionWatcher = null,
+    enabled = true,
+    maxEntries = 500,
+    maxBytes = 64 * 1024 * 1024
+  }) {
+    this.scheduleRepository = scheduleRepository;
+    this.revisionWatcher = revisionWatcher;
+    this.timezone = timezone;
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    /** @type {Map<string, {version: string, status: number, json: string, bytes: number}>} */
+    this.entries = new Map();
+    /** @type {number} total size of cached bodies */
+    this.bytes = 0;
+  }
+
+  /**
+   * @returns {Promise<{version: string, etag: string, lastModified: Date|null}>}
+   */
+  async getVersion() {
+    const meta = await this.scheduleRepository.getActiveSyncMeta();
+    await this.revisionWatcher?.check(meta);
+    const today = getIsoDateInTimezone(this.timezone);
+    const version = `${meta?.activeSyncId || "none"}|${meta?.revision || 0}|${today}`;
+    const hash = crypto.createHash("sha1").update(version).digest("base64url").slice(0, 20);
+    const dayStart = zonedTimeToDate(today, "00:00", this.timezone);
+
+    return {
+      version,
+      etag: `W/"${hash}"`,
+      lastModified: latestDate([meta?.updatedAt, meta?.revisedAt, dayStart])
+    };
+  }
+
+  /**
+   * Express middleware: set `ETag`/`Last-Modified` and answer `304` when the client copy is current.
+   * Put it after authorization and rate limiting.
+   *
+   * @returns {import("express").RequestHandler}
+   */
+  conditional() {
+    return async (req, res, next) => {
+      let current = null;
+      try {
+        current = await this.getVersion();
+      } catch (error) {
+        next();
+        return;
+      }
+
+      req.responseVersion = current.version;
+      res.setHeader("ETag", current.etag);
+      if (current.lastModified) res.setHeader("Last-Modified", current.lastModified.toUTCString());
+      // Clients may keep responses but must revalidate them, which is a cheap 304.
+      res.setHeader("Cache-Control", "no-cache");
+
+      if (req.fresh) {
+        res.status(304).end();
+        return;
+      }
+      next();
+    };
+  }
+
+  /**
+   * Cache key from the request path and the listed query params only, so unknown or reordered params
+   * cannot fill the cache with copies of the same response.
+   *
+   * @param {import("express").Request} req
+   * @param {string[]} params query params the response depends on
+   * @returns {string}
+   */
+  buildKey(req, params) {
+    const query = [...params]
+      .sort()
+      .filter((name) => req.query[name] !== undefined && req.query[name] !== "")
+      .map((name) => [name, [].concat(req.query[name]).map(String)]);
+    return `${req.baseUrl}${req.path}?${JSON.stringify(query)}`;
+  }
+
+  /**
+   * Send a JSON response, built only when no cached copy exists for the request and current version.
+   * Only `200` responses are cached.
+   *
+   * @param {import("express").Request} req
+   * @param {import("express").Response} res
+   * @param {() => Promise<{status: number, body: any}>} build
+   * @param {{params?: string[]}} [options] query params the response depends on
+   * @returns {Promise<void>}
+   */
+  async respond(req, res, build, { params = [] } = {}) {
+    const key = this.buildKey(req, params);
+    const version = req.responseVersion;
+    let entry = this.enabled && version ? this.entries.get(key) : null;
+
+    if (entry && entry.version === version) {
+      // Re-insert to keep the Map in least-recently-used order.
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    } else {
+      const { status, body } = await build();
+      const json = JSON.stringify(body);
+      entry = { version, status, json, bytes: Buffer.byteLength(json) };
+      if (this.enabled && version && status === 200) this.store(key, entry);
+    }
+
+    res.status(entry.status).type("application/json").send(entry.json);
+  }
+
+  /**
+   * Store an entry, dropping least recently used ones beyond `maxEntries` or `maxBytes`.
+   * Bodies larger than a quarter of `maxBytes` are not cached at all.
+   *
+   * @param {string} key
+   * @param {{version: string, status: number, json: string, bytes: number}} entry
+   * @returns {void}
+   */
+  store(key, entry) {
+    this.delete(key);
+    if (entry.bytes > this.maxBytes / 4) return;
+
+    this.entries.set(key, entry);
+    this.bytes += entry.bytes;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {void}
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  /**
+   * Drop cached responses, e.g. after a new snapshot was promoted.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Record a schedule change that is not a new snapshot (overrides, bells, calendar) for all replicas.
+   *
+   * @returns {Promise<void>}
+   */
+  async invalidate() {
+    await this.scheduleRepository.bumpScheduleRevision();
+    this.clear();
+  }
+}
+
+module.exports = { ResponseCache };
@@ -0,0 +1,60 @@
+class RevisionWatcher {
+  /**
+   * Settings kept in process memory (bell schedules, calendar entries) are reloaded whenever
+   * `meta.revision` changes, so changes made through another replica reach this one too.
+   *
+   * @param {{
+   *  scheduleRepository: any,
+   *  targets: Array<{refresh: () => Promise<void>}>,
+   *  logger?: any
+   * }} deps
+   */
+  constructor({ scheduleRepository, targets, logger = null }) {
+    this.scheduleRepository = scheduleRepository;
+    this.targets = targets;
+    this.logger = logger;
+    /** @type {number|null} revision the targets were last loaded at */
+    this.revision = null;
+    /** @type {{revision: number, promise: Promise<void>}|null} */
+    this.loading = null;
+  }
+
+  /**
+   * Reload the targets when the revision moved. Without `meta`, it is read from the repository.
+   *
+   * @param {Record<string, any>|null} [meta] already loaded `meta` document
+   * @returns {Promise<void>}
+   */
+  async check(meta) {
+    const current = meta === undefined ? await this.scheduleRepository.getActiveSyncMeta() : meta;
+    const revision = current?.revision || 0;
+    if (this.revision === revision) return;
+    // Concurrent requests share one reload.
+    if (this.loading?.revision === revision) return this.loading.promise;
+
+    const promise = Promise.all(this.targets.map((target) => target.refresh())).then(() => {
+      this.revision = revision;
+    });
+    this.loading = { revision, promise };
+    try {
+      await promise;
+    } finally {
+      if (this.loading?.promise === promise) this.loading = null;
+    }
+  }
+
+  /**
+   * Cron-friendly `check()` that logs instead of throwing.
+   *
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    try {
+      await this.check();
+    } catch (error) {
+      this.logger?.warn("Settings reload failed", { error: error.message });
+    }
+  }
+}
+
+module.exports = { RevisionWatcher };
@@ -0,0 +1,214 @@
+const { teacherMatchKey } = require("./teacherScheduleService");
+const { isIsoDate } = require("./dateUtils");
+
+function compareRooms(a, b) {
+  return a.localeCompare(b, "ru", { numeric: true, sensitivity: "base" });
+}
+
+// Latin letters that look like Cyrillic ones in room suffixes ("216a" vs "216а").
+const LATIN_TO_CYRILLIC = {
+  a: "а",
+  b: "в",
+  c: "с",
+  e: "е",
+  h: "н",
+  k: "к",
+  m: "м",
+  o: "о",
+  p: "р",
+  t: "т",
+  x: "х",
+  y: "у"
+};
+
+/**
+ * Build comparable room key: `"Ауд. 216-A"`, `"216а"` and `"216 а"` all become `"216а"`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeRoomKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/^\s*(аудитория|ауд|кабинет|каб)\.?/, "")
+    .replace(/[a-z]/g, (char) => LATIN_TO_CYRILLIC[char] || char)
+    .replace(/[\s.,№#\-_]+/g, "");
+}
+
+function isTeacherPageLesson(lesson) {
+  return String(lesson.groupCode || "").startsWith("tp:");
+}
+
+/**
+ * Merge group-page and teacher-page rows describing the same lesson in a room.
+ * Same idea as `TeacherScheduleService.mergeTeacherParallelLessons`, keyed by slot and subject.
+ *
+ * @param {Array<Record<string, any>>} lessons
+ * @returns {Array<Record<string, any>>}
+ */
+function mergeRoomLessons(lessons) {
+  const buckets = new Map();
+
+  lessons.forEach((lesson) => {
+    const key = [
+      String(lesson.date || ""),
+      Number.parseInt(lesson.lessonNumber, 10),
+      String(lesson.subject || "").toLowerCase()
+    ].join("|");
+
+    if (!buckets.has(key)) {
+      buckets.set(key, { lesson: { ...lesson }, groups: new Set(), teachers: new Map() });
+    }
+
+    const item = buckets.get(key);
+    // Prefer group-page rows as the base: they carry the real group code.
+    if (isTeacherPageLesson(item.lesson) && !isTeacherPageLesson(lesson)) {
+      item.lesson = { ...lesson };
+    }
+    if (lesson.groupName) item.groups.add(String(lesson.groupName));
+
+    const teacherKey = teacherMatchKey(lesson.teacher);
+    if (teacherKey) {
+      // Teacher pages carry full names, group pages usually carry initials only.
+      const known = item.teachers.get(teacherKey);
+      if (!known || String(lesson.teacher).length > known.length) {
+        item.teachers.set(teacherKey, String(lesson.teacher));
+      }
+    }
+  });
+
+  return Array.from(buckets.values())
+    .map(({ lesson, groups, teachers }) => {
+      const groupsList = Array.from(groups);
+      const teachersList = Array.from(teachers.values());
+      return {
+        ...lesson,
+        groupName: groupsList.length ? groupsList.join(" ") : lesson.groupName || null,
+        teacher: teachersList.length ? teachersList.join(", ") : lesson.teacher || null,
+        groups: groupsList,
+        teachers: teachersList
+      };
+    })
+    .sort((a, b) => {
+      if (a.date !== b.date) return a.date.localeCompare(b.date);
+      if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
+      return String(a.groupName || "").localeCompare(String(b.groupName || ""), "ru");
+    });
+}
+
+class RoomService {
+  /**
+   * @param {{scheduleRepository: any}} deps
+   */
+  constructor({ scheduleRepository }) {
+    this.scheduleRepository = scheduleRepository;
+  }
+
+  /**
+   * Build rooms index from the `room` field of active lessons.
+   *
+   * @returns {Promise<Array<{room: string, lessonsCount: number}>>}
+   */
+  async listRooms() {
+    const rooms = await this.scheduleRepository.getActiveRooms();
+    return rooms.slice().sort((a, b) => compareRooms(a.room, b.room));
+  }
+
+  /**
+   * Resolve free-form room input against the rooms index.
+   * Exact normalized match wins; otherwise a unique prefix match is accepted.
+   * Several raw spellings of one room (e.g. `"216"` and `"ауд. 216"`) resolve together.
+   *
+   * @param {string} input
+   * @returns {Promise<{ok: true, room: string, rooms: string[]}|{ok: false, error: string, candidates: string[]}>}
+   */
+  async resolveRoom(input) {
+    const key = normalizeRoomKey(input);
+    if (!key) return { ok: false, error: "room is required", candidates: [] };
+
+    const rooms = await this.listRooms();
+    const exact = rooms.filter((item) => normalizeRoomKey(item.room) === key);
+    if (exact.length) {
+      // Label by the most used spelling.
+      const label = exact.slice().sort((a, b) => b.lessonsCount - a.lessonsCount)[0].room;
+      return { ok: true, room: label, rooms: exact.map((item) => item.room) };
+    }
+
+    const byPrefix = rooms.filter((item) => normalizeRoomKey(item.room).startsWith(key));
+    const candidateKeys = new Set(byPrefix.map((item) => normalizeRoomKey(item.room)));
+    if (candidateKeys.size === 1) {
+      const label = byPrefix.slice().sort((a, b) => b.lessonsCount - a.lessonsCount)[0].room;
+      return { ok: true, room: label, rooms: byPrefix.map((item) => item.room) };
+    }
+
+    if (candidateKeys.size > 1) {
+      // One label per normalized room, by the most used spelling.
+      const labels = new Map();
+      byPrefix
+        .slice()
+        .sort((a, b) => b.lessonsCount - a.lessonsCount)
+        .forEach((item) => {
+          const itemKey = normalizeRoomKey(item.room);
+          if (!labels.has(itemKey)) labels.set(itemKey, item.room);
+        });
+      return {
+        ok: false,
+        error: "room is ambiguous",
+        candidates: Array.from(labels.values()).sort(compareRooms)
+      };
+    }
+
+    return { ok: false, error: "room not found", candidates: [] };
+  }
+
+  /**
+   * Get merged lessons of a resolved room, optionally for one day.
+   *
+   * @param {string[]} rooms raw room values from `resolveRoom`
+   * @param {string} [date]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getRoomLessons(rooms, date) {
+    const chunks = await Promise.all(
+      rooms.map((room) => this.scheduleRepository.getActiveLessons({ room, date }))
+    );
+    return mergeRoomLessons(chunks.flat());
+  }
+
+  /**
+   * Find rooms with no lessons in the given slot.
+   * Only rooms known from the active snapshot are considered.
+   *
+   * @param {{date: string, lessonNumber: number|string}} params
+   * @returns {Promise<{ok: true, date: string, lessonNumber: number, rooms: string[], busyRooms: string[]}|{ok: false, error: string}>}
+   */
+  async findFreeRooms({ date, lessonNumber }) {
+    const isoDate = String(date || "").trim();
+    if (!isIsoDate(isoDate)) {
+      return { ok: false, error: "date must be in YYYY-MM-DD format" };
+    }
+
+    const lessonNo = Number.parseInt(String(lessonNumber || ""), 10);
+    if (!Number.isFinite(lessonNo) || lessonNo < 1) {
+      return { ok: false, error: "lessonNumber must be a positive integer" };
+    }
+
+    const [rooms, busyRooms] = await Promise.all([
+      this.listRooms(),
+      this.scheduleRepository.getBusyRooms(isoDate, lessonNo)
+    ]);
+    // Compare normalized keys so "ауд. 216" in one row also marks "216" as busy.
+    const busy = new Set(busyRooms.map(normalizeRoomKey));
+
+    return {
+      ok: true,
+      date: isoDate,
+      lessonNumber: lessonNo,
+      rooms: rooms.map((item) => item.room).filter((room) => !busy.has(normalizeRoomKey(room))),
+      busyRooms: busyRooms.slice().sort(compareRooms)
+    };
+  }
+}
+
+module.exports = { RoomService, normalizeRoomKey, mergeRoomLessons };
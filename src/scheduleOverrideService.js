@@ -0,0 +1,104 @@
+const { normalizeOverrideInput, isOverrideSatisfied } = require("./scheduleOverrides");
+
+class ScheduleOverrideService {
+  /**
+   * @param {{scheduleRepository: any, logger?: any}} deps
+   */
+  constructor({ scheduleRepository, logger = null }) {
+    this.scheduleRepository = scheduleRepository;
+    this.logger = logger;
+  }
+
+  /**
+   * Validate and store an override. A group may be given by code or name and must exist
+   * in the active snapshot; it is stored as both `groupCode` and `groupName`.
+   *
+   * @param {unknown} body
+   * @returns {Promise<{ok: true, override: Record<string, any>}|{ok: false, error: string}>}
+   */
+  async createOverride(body) {
+    const normalized = normalizeOverrideInput(body);
+    if (!normalized.ok) return normalized;
+
+    const { group, ...override } = normalized.override;
+    if (group) {
+      const groups = await this.scheduleRepository.getActiveGroups();
+      const needle = group.toLowerCase();
+      const found =
+        groups.find((item) => String(item.code) === group) ||
+        groups.find((item) => String(item.name || "").toLowerCase() === needle);
+      if (!found) return { ok: false, error: "group not found" };
+      override.groupCode = String(found.code);
+      override.groupName = found.name;
+    }
+
+    const stored = await this.scheduleRepository.insertOverride(override);
+    this.logger?.info("Schedule override created", {
+      id: stored.id,
+      action: stored.action,
+      date: stored.date,
+      lessonNumber: stored.lessonNumber
+    });
+    return { ok: true, override: stored };
+  }
+
+  /**
+   * @param {{includeExpired?: boolean}} [options]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listOverrides(options = {}) {
+    return this.scheduleRepository.listOverrides(options);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} false when no override has the id
+   */
+  async deleteOverride(id) {
+    const deleted = await this.scheduleRepository.deleteOverride(id);
+    if (deleted) this.logger?.info("Schedule override deleted", { id });
+    return deleted;
+  }
+
+  /**
+   * Expire overrides the freshly promoted snapshot already reflects: cancelled lessons are gone,
+   * moved lessons are at their new slot, added lessons are present. Bumps the schedule revision when any expired.
+   *
+   * @param {string} syncId
+   * @returns {Promise<number>} expired overrides count
+   */
+  async expireSatisfiedOverrides(syncId) {
+    const overrides = await this.scheduleRepository.listActiveOverrides();
+    if (!overrides.length) return 0;
+
+    const lessonsByDate = new Map();
+    const getDayLessons = async (date) => {
+      if (!lessonsByDate.has(date)) {
+        lessonsByDate.set(
+          date,
+          await this.scheduleRepository.getActiveLessons({ date }, { applyOverrides: false })
+        );
+      }
+      return lessonsByDate.get(date);
+    };
+
+    let expired = 0;
+    for (const override of overrides) {
+      const dates = Array.from(new Set([override.date, override.changes?.date].filter(Boolean)));
+      const lessons = (await Promise.all(dates.map(getDayLessons))).flat();
+      if (!isOverrideSatisfied(override, lessons)) continue;
+
+      await this.scheduleRepository.expireOverride(override.id, syncId);
+      expired += 1;
+    }
+
+    if (expired > 0) {
+      // Expired overrides change the served lessons, so cached responses and snapshots must be rebuilt.
+      await this.scheduleRepository.bumpScheduleRevision();
+      this.logger?.info("Schedule overrides expired", { syncId, expired });
+    }
+    return expired;
+  }
+}
+
+module.exports = { ScheduleOverrideService };
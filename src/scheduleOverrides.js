@@ -0,0 +1,287 @@
+const { teacherMatchKey } = require("./teacherScheduleService");
+const { normalizeRoomKey } = require("./roomService");
+const { isIsoDate } = require("./dateUtils");
+
+const OVERRIDE_ACTIONS = ["cancel", "move", "add"];
+const CHANGE_FIELDS = ["date", "lessonNumber", "room", "teacher", "subject"];
+
+function toOptionalText(value) {
+  const text = String(value ?? "").trim();
+  return text || null;
+}
+
+function toOptionalLessonNumber(value) {
+  if (value === undefined || value === null || value === "") return { ok: true, value: null };
+  const lessonNumber = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(lessonNumber) || lessonNumber < 1) return { ok: false };
+  return { ok: true, value: lessonNumber };
+}
+
+/**
+ * Validate an admin override. The group is resolved later against the active snapshot.
+ *
+ * @param {unknown} body
+ * @returns {{ok: true, override: Record<string, any>}|{ok: false, error: string}}
+ */
+function normalizeOverrideInput(body) {
+  const action = String(body?.action || "").trim();
+  if (!OVERRIDE_ACTIONS.includes(action)) {
+    return { ok: false, error: `action must be one of: ${OVERRIDE_ACTIONS.join(", ")}` };
+  }
+
+  const date = String(body?.date || "").trim();
+  if (!isIsoDate(date)) return { ok: false, error: "date must be in YYYY-MM-DD format" };
+
+  const lessonNumber = toOptionalLessonNumber(body?.lessonNumber);
+  if (!lessonNumber.ok) return { ok: false, error: "lessonNumber must be a positive integer" };
+
+  const override = {
+    action,
+    date,
+    lessonNumber: lessonNumber.value,
+    group: toOptionalText(body?.group),
+    teacher: toOptionalText(body?.teacher),
+    room: toOptionalText(body?.room),
+    changes: null,
+    subject: null,
+    note: toOptionalText(body?.note)
+  };
+  if (!override.group && !override.teacher && !override.room) {
+    return { ok: false, error: "one of group, teacher or room is required" };
+  }
+
+  if (action === "move") {
+    const changes = {};
+    for (const field of CHANGE_FIELDS) {
+      const value = body?.changes?.[field];
+      if (value === undefined || value === null || value === "") continue;
+      if (field === "date") {
+        if (!isIsoDate(String(value))) return { ok: false, error: "changes.date must be in YYYY-MM-DD format" };
+        changes.date = String(value);
+      } else if (field === "lessonNumber") {
+        const parsed = toOptionalLessonNumber(value);
+        if (!parsed.ok) return { ok: false, error: "changes.lessonNumber must be a positive integer" };
+        changes.lessonNumber = parsed.value;
+      } else {
+        changes[field] = String(value).trim();
+      }
+    }
+    if (!Object.keys(changes).length) {
+      return { ok: false, error: `changes must set at least one of: ${CHANGE_FIELDS.join(", ")}` };
+    }
+    if ((changes.date || changes.lessonNumber) && !override.lessonNumber) {
+      return { ok: false, error: "lessonNumber is required to move a lesson to another slot" };
+    }
+    override.changes = changes;
+  }
+
+  if (action === "add") {
+    if (!override.lessonNumber) return { ok: false, error: "lessonNumber is required to add a lesson" };
+    if (!override.group && !override.teacher) {
+      return { ok: false, error: "group or teacher is required to add a lesson" };
+    }
+    override.subject = toOptionalText(body?.subject);
+    if (!override.subject) return { ok: false, error: "subject is required to add a lesson" };
+  }
+
+  return { ok: true, override };
+}
+
+/**
+ * Check whether a lesson is targeted by an override. Groups match by name or code
+ * (so teacher-page rows of the group match too), teachers by match key, rooms by normalized key.
+ *
+ * @param {Record<string, any>} override
+ * @param {Record<string, any>} lesson
+ * @returns {boolean}
+ */
+function matchesOverrideTarget(override, lesson) {
+  if (lesson.date !== override.date) return false;
+  if (override.lessonNumber && Number(lesson.lessonNumber) !== override.lessonNumber) return false;
+  if (
+    override.groupCode &&
+    String(lesson.groupCode) !== override.groupCode &&
+    lesson.groupName !== override.groupName
+  ) {
+    return false;
+  }
+  if (override.teacher && teacherMatchKey(lesson.teacher) !== teacherMatchKey(override.teacher)) return false;
+  if (override.room && normalizeRoomKey(lesson.room) !== normalizeRoomKey(override.room)) return false;
+  return true;
+}
+
+function markOverridden(lesson, override) {
+  return {
+    ...lesson,
+    overridden: true,
+    overrideId: override.id,
+    overrideAction: override.action
+  };
+}
+
+function applyMove(lesson, override) {
+  return markOverridden({ ...lesson, ...override.changes }, override);
+}
+
+/**
+ * Build the lesson row added by an `add` override.
+ *
+ * @param {Record<string, any>} override
+ * @returns {Record<string, any>}
+ */
+function buildAddedLesson(override) {
+  return markOverridden(
+    {
+      syncId: null,
+      groupCode: override.groupCode || null,
+      groupName: override.groupName || null,
+      date: override.date,
+      dayLabel: null,
+      lessonNumber: override.lessonNumber,
+      columnIndex: 0,
+      subject: override.subject,
+      room: override.room || null,
+      teacher: override.teacher || null
+    },
+    override
+  );
+}
+
+/**
+ * In-memory version of the repository lessons query, used for rows changed by overrides.
+ *
+ * @param {Record<string, any>} lesson
+ * @param {Record<string, any>} filters same as `ScheduleRepository.getActiveLessons`
+ * @returns {boolean}
+ */
+function lessonMatchesFilters(lesson, filters) {
+  const oneOf = (value, expected, cast = String) =>
+    (Array.isArray(expected) ? expected : [expected]).map(cast).includes(cast(value));
+
+  if (filters.group) {
+    if (!oneOf(lesson.groupName, filters.group)) return false;
+    if (String(lesson.groupCode || "").startsWith("tp:")) return false;
+  }
+  if (filters.groupCode && !oneOf(lesson.groupCode, filters.groupCode)) return false;
+  if (filters.date && lesson.date !== filters.date) return false;
+  if (!filters.date && filters.from && lesson.date < filters.from) return false;
+  if (!filters.date && filters.to && lesson.date > filters.to) return false;
+  if (filters.lessonNumber && !oneOf(lesson.lessonNumber, filters.lessonNumber, Number)) return false;
+  if (filters.teacher && !oneOf(lesson.teacher, filters.teacher)) return false;
+  if (filters.room && !oneOf(lesson.room, filters.room)) return false;
+  return true;
+}
+
+/**
+ * Apply cancel and move overrides to lessons read from the snapshot.
+ * Cancelled lessons are dropped; moved lessons are changed in place and dropped
+ * when they no longer match the filters. Newest override wins.
+ *
+ * @param {Array<Record<string, any>>} lessons
+ * @param {Array<Record<string, any>>} overrides active overrides, newest first
+ * @param {Record<string, any>} filters
+ * @returns {Array<Record<string, any>>}
+ */
+function applyOverridesToLessons(lessons, overrides, filters) {
+  const targeting = overrides.filter((override) => override.action !== "add");
+  if (!targeting.length) return lessons;
+
+  const result = [];
+  lessons.forEach((lesson) => {
+    const override = targeting.find((item) => matchesOverrideTarget(item, lesson));
+    if (!override) {
+      result.push(lesson);
+      return;
+    }
+    if (override.action === "cancel") return;
+
+    const moved = applyMove(lesson, override);
+    if (lessonMatchesFilters(moved, filters)) result.push(moved);
+  });
+  return result;
+}
+
+/**
+ * Lessons brought into the filtered result by overrides: added lessons, and moved lessons
+ * whose source row did not match the filters.
+ *
+ * @param {Array<Record<string, any>>} overrides active overrides, newest first
+ * @param {Array<Record<string, any>>} sourceLessons snapshot rows on the dates of move overrides
+ * @param {Record<string, any>} filters
+ * @returns {Array<Record<string, any>>}
+ */
+function collectOverrideExtras(overrides, sourceLessons, filters) {
+  const extras = overrides
+    .filter((override) => override.action === "add")
+    .map(buildAddedLesson)
+    .filter((lesson) => lessonMatchesFilters(lesson, filters));
+
+  const targeting = overrides.filter((override) => override.action !== "add");
+  sourceLessons.forEach((lesson) => {
+    if (lessonMatchesFilters(lesson, filters)) return;
+    const override = targeting.find((item) => matchesOverrideTarget(item, lesson));
+    if (override?.action !== "move") return;
+
+    const moved = applyMove(lesson, override);
+    if (lessonMatchesFilters(moved, filters)) extras.push(moved);
+  });
+  return extras;
+}
+
+function satisfiesChanges(lesson, changes) {
+  return Object.entries(changes).every(([field, value]) => {
+    if (field === "lessonNumber") return Number(lesson.lessonNumber) === value;
+    if (field === "room") return normalizeRoomKey(lesson.room) === normalizeRoomKey(value);
+    if (field === "teacher") return teacherMatchKey(lesson.teacher) === teacherMatchKey(value);
+    if (field === "subject") return String(lesson.subject || "").toLowerCase() === value.toLowerCase();
+    return lesson[field] === value;
+  });
+}
+
+/**
+ * Check whether the scraped snapshot already reflects an override, so it can expire.
+ *
+ * @param {Record<string, any>} override
+ * @param {Array<Record<string, any>>} lessons snapshot rows on the override's dates
+ * @returns {boolean}
+ */
+function isOverrideSatisfied(override, lessons) {
+  if (override.action === "cancel") {
+    return !lessons.some((lesson) => matchesOverrideTarget(override, lesson));
+  }
+
+  if (override.action === "add") {
+    return lessons.some(
+      (lesson) =>
+        matchesOverrideTarget(override, lesson) &&
+        String(lesson.subject || "").toLowerCase() === override.subject.toLowerCase()
+    );
+  }
+
+  const { changes } = override;
+  const stillAtSource = lessons.some(
+    (lesson) => matchesOverrideTarget(override, lesson) && !satisfiesChanges(lesson, changes)
+  );
+  if (stillAtSource) return false;
+
+  const destination = {
+    ...override,
+    date: changes.date || override.date,
+    lessonNumber: changes.lessonNumber || override.lessonNumber,
+    room: changes.room || override.room,
+    teacher: changes.teacher || override.teacher
+  };
+  return lessons.some(
+    (lesson) => matchesOverrideTarget(destination, lesson) && satisfiesChanges(lesson, changes)
+  );
+}
+
+module.exports = {
+  OVERRIDE_ACTIONS,
+  normalizeOverrideInput,
+  matchesOverrideTarget,
+  lessonMatchesFilters,
+  applyOverridesToLessons,
+  collectOverrideExtras,
+  isOverrideSatisfied
+};
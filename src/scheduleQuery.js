@@ -0,0 +1,223 @@
+const { isIsoDate } = require("./dateUtils");
+
+// Parsing and validation of `/api/schedule` query params.
+
+const LESSON_FIELDS = [
+  "syncId",
+  "groupCode",
+  "groupName",
+  "date",
+  "dayLabel",
+  "lessonNumber",
+  "columnIndex",
+  "subject",
+  "room",
+  "teacher",
+  "teacherCode",
+  "sourceUrl",
+  "createdAt",
+  "archivedAt"
+];
+
+// Computed from the bell schedule, not stored in MongoDB.
+const TIME_FIELDS = ["startsAt", "endsAt"];
+
+// Set only on lessons changed or added by manual overrides.
+const OVERRIDE_FIELDS = ["overridden", "overrideId", "overrideAction"];
+
+const SORT_FIELDS = ["date", "lessonNumber", "groupName", "groupCode", "teacher", "room", "subject"];
+
+const DEFAULT_SORT = [
+  ["date", 1],
+  ["lessonNumber", 1],
+  ["groupName", 1],
+  ["columnIndex", 1]
+];
+
+// Every param `parseScheduleQuery` reads; others are ignored and not part of the response cache key.
+const SCHEDULE_QUERY_PARAMS = [
+  "group",
+  "groupCode",
+  "teacher",
+  "room",
+  "date",
+  "from",
+  "to",
+  "lessonNumber",
+  "fields",
+  "sort",
+  "cursor",
+  "archive",
+  "limit"
+];
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Read a multi-value param: `?a=1&a=2` and `?a=1,2` are equivalent.
+ *
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toValueList(value) {
+  const raw = Array.isArray(value) ? value : value === undefined ? [] : [value];
+  return raw
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Encode an opaque pagination cursor.
+ * An offset is only stable while rows before it stay put. Cleanup and archiving delete past days from
+ * the active snapshot without changing its `syncId`, so the cursor also records the snapshot's first date.
+ *
+ * @param {{syncId: string, firstDate: string|null, offset: number}} cursor
+ * @returns {string}
+ */
+function encodeCursor({ syncId, firstDate, offset }) {
+  return Buffer.from(JSON.stringify({ s: syncId, f: firstDate, o: offset }), "utf8").toString("base64url");
+}
+
+/**
+ * @param {string} value
+ * @returns {{syncId: string, firstDate: string|null, offset: number}|null}
+ */
+function decodeCursor(value) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (!parsed?.s || !Number.isInteger(parsed.o) || parsed.o < 0) return null;
+    return { syncId: String(parsed.s), firstDate: parsed.f ? String(parsed.f) : null, offset: parsed.o };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse `/api/schedule` query params into repository filters and query options.
+ *
+ * @param {Record<string, any>} query Express `req.query`
+ * @returns {{
+ *  ok: true,
+ *  filters: Record<string, any>,
+ *  options: {fields: string[]|null, sort: Array<[string, 1|-1]>, limit: number|null, cursor: {syncId: string, firstDate: string|null, offset: number}|null, archive: boolean},
+ *  outputFields: string[]|null
+ * }|{ok: false, error: string}}
+ */
+function parseScheduleQuery(query) {
+  const filters = {};
+
+  const groups = toValueList(query.group);
+  if (groups.length) filters.group = groups.length === 1 ? groups[0] : groups;
+
+  const groupCodes = toValueList(query.groupCode);
+  if (groupCodes.length) filters.groupCode = groupCodes.length === 1 ? groupCodes[0] : groupCodes;
+
+  const teachers = toValueList(query.teacher);
+  if (teachers.length) filters.teacher = teachers.length === 1 ? teachers[0] : teachers;
+
+  const rooms = toValueList(query.room);
+  if (rooms.length) filters.room = rooms.length === 1 ? rooms[0] : rooms;
+
+  for (const key of ["date", "from", "to"]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const value = String(query[key]).trim();
+    if (!isIsoDate(value)) return { ok: false, error: `${key} must be in YYYY-MM-DD format` };
+    filters[key] = value;
+  }
+  if (filters.date && (filters.from || filters.to)) {
+    return { ok: false, error: "use either date or from/to" };
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { ok: false, error: "from must not be later than to" };
+  }
+
+  const lessonNumbers = toValueList(query.lessonNumber).map((value) => Number.parseInt(value, 10));
+  if (lessonNumbers.some((value) => !Number.isFinite(value) || value < 1)) {
+    return { ok: false, error: "lessonNumber must be a positive integer" };
+  }
+  if (lessonNumbers.length) {
+    filters.lessonNumber = lessonNumbers.length === 1 ? lessonNumbers[0] : lessonNumbers;
+  }
+
+  const fields = toValueList(query.fields);
+  const unknownField = fields.find(
+    (field) =>
+      !LESSON_FIELDS.includes(field) && !TIME_FIELDS.includes(field) && !OVERRIDE_FIELDS.includes(field)
+  );
+  if (unknownField) return { ok: false, error: `unknown field: ${unknownField}` };
+
+  // Lesson times need date and lesson number even when they are not requested.
+  const storedFields = fields.filter((field) => LESSON_FIELDS.includes(field));
+  if (fields.some((field) => TIME_FIELDS.includes(field))) {
+    ["date", "lessonNumber"].forEach((field) => {
+      if (!storedFields.includes(field)) storedFields.push(field);
+    });
+  }
+
+  let sort = DEFAULT_SORT;
+  const sortKeys = toValueList(query.sort);
+  if (sortKeys.length) {
+    sort = [];
+    for (const key of sortKeys) {
+      const field = key.replace(/^[-+]/, "");
+      if (!SORT_FIELDS.includes(field)) return { ok: false, error: `unsupported sort field: ${field}` };
+      sort.push([field, key.startsWith("-") ? -1 : 1]);
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== "") {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { ok: false, error: "invalid cursor" };
+  }
+
+  let archive = false;
+  if (query.archive !== undefined && query.archive !== "") {
+    const value = String(query.archive);
+    if (!["true", "false"].includes(value)) return { ok: false, error: "archive must be true or false" };
+    archive = value === "true";
+  }
+
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number.parseInt(String(query.limit), 10);
+    if (!Number.isFinite(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { ok: false, error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  } else if (cursor) {
+    limit = DEFAULT_PAGE_SIZE;
+  }
+
+  return {
+    ok: true,
+    filters,
+    options: {
+      fields: storedFields.length ? storedFields : null,
+      sort,
+      limit,
+      cursor,
+      archive
+    },
+    outputFields: fields.length ? fields : null
+  };
+}
+
+/**
+ * Keep only requested fields of a response row.
+ *
+ * @param {Record<string, any>} row
+ * @param {string[]|null} fields
+ * @returns {Record<string, any>}
+ */
+function pickFields(row, fields) {
+  if (!fields) return row;
+  const picked = {};
+  fields.forEach((field) => {
+    if (field in row) picked[field] = row[field];
+  });
+  return picked;
+}
+
+module.exports = { SCHEDULE_QUERY_PARAMS, parseScheduleQuery, pickFields, encodeCursor, decodeCursor };
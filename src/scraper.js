@@ -1,11 +1,19 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
+const metrics = require("./metrics");
 
 // Normalize whitespace artifacts from HTML (including non-breaking spaces).
 function cleanText(value) {
   return (value || "").replace(/\u00a0/g, " ").replace(/\s+/g, " ").trim();
 }
 
+// Metrics label for a source page: index pages by name, group/teacher pages by kind.
+function pageKind(relativePath) {
+  if (/^cg\d+\.htm$/i.test(relativePath)) return "group";
+  if (/^cp\d+\.htm$/i.test(relativePath)) return "teacher";
+  return relativePath;
+}
+
 function parseRuDate(value) {
   const match = cleanText(value).match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
   if (!match) return null;
@@ -114,21 +122,27 @@ class OmAcademyScraper {
    */
   async fetchHtml(relativePath) {
     const url = this.buildUrl(relativePath);
+    const page = pageKind(relativePath);
     let lastError = null;
 
     // Retry transient network failures to reduce sync instability.
     for (let attempt = 1; attempt <= 3; attempt += 1) {
+      const endTimer = metrics.scraperRequestDuration.startTimer({ page });
       try {
         const response = await this.http.get(url);
+        endTimer({ outcome: "success" });
         return { html: response.data, url };
       } catch (error) {
+        endTimer({ outcome: "error" });
         lastError = error;
         const isLastAttempt = attempt === 3;
         if (isLastAttempt) break;
+        metrics.scraperRetries.inc({ page });
         await new Promise((resolve) => setTimeout(resolve, 300 * attempt));
       }
     }
 
+    metrics.scraperFailures.inc({ page });
     throw new Error(`Failed to fetch ${url}: ${lastError?.message || "unknown error"}`);
   }
 
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const cron = require("node-cron");
 
@@ -8,8 +9,38 @@ const { OmAcademyScraper } = require("./scraper");
 const { ScheduleRepository } = require("./repository");
 const { SyncService } = require("./syncService");
 const { ReminderService } = require("./reminderService");
+const { ChangeNotificationService } = require("./changeNotificationService");
+const { ConflictReportService } = require("./conflictReportService");
+const { ConflictNotificationService } = require("./conflictNotificationService");
+const { CalendarFeedService } = require("./calendarFeedService");
+const { RoomService } = require("./roomService");
+const { ScheduleOverrideService } = require("./scheduleOverrideService");
+const { TeacherScheduleService } = require("./teacherScheduleService");
+const { TeacherWorkloadService, workloadToCsv } = require("./teacherWorkloadService");
+const { GroupProgressService } = require("./groupProgressService");
+const { SnapshotCache } = require("./snapshotCache");
+const { WebhookRepository } = require("./webhookRepository");
+const { WebhookService } = require("./webhookService");
+const { ReadinessService } = require("./readinessService");
+const { ApiKeyRepository } = require("./apiKeyRepository");
+const { ApiKeyService } = require("./apiKeyService");
+const { RateLimitRepository } = require("./rateLimitRepository");
+const { RateLimiter } = require("./rateLimiter");
+const { ResponseCache } = require("./responseCache");
+const { SCHEDULE_QUERY_PARAMS, parseScheduleQuery, pickFields, encodeCursor } = require("./scheduleQuery");
+const { BellSchedule } = require("./bellSchedule");
+const { BellScheduleRepository } = require("./bellScheduleRepository");
+const { RevisionWatcher } = require("./revisionWatcher");
+const { AcademicCalendar } = require("./academicCalendar");
+const { AcademicCalendarRepository } = require("./academicCalendarRepository");
 const { MaxBotService } = require("./max/botService");
 const { registerMaxWebhookRoute } = require("./max/webhook");
+const metrics = require("./metrics");
+
+// Incoming X-Request-Id values are reused only when they look like an ID, not arbitrary text.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Probe endpoints are polled constantly, so their access log lines are debug-only.
+const PROBE_PATHS = new Set(["/health", "/ready", "/metrics"]);
 
 async function bootstrap() {
   // Initialize infrastructure first: DB connection, indexes, scraper, sync service.
@@ -29,32 +60,180 @@ async function bootstrap() {
     scraper,
     repository,
     logger,
+    timezone: config.syncTimezone,
+    snapshotRetention: config.snapshotRetention,
+    promotionRules: {
+      enabled: config.syncGuardEnabled,
+      maxLessonsDropPercent: config.syncGuardMaxLessonsDropPercent,
+      maxGroupsDropPercent: config.syncGuardMaxGroupsDropPercent,
+      minGroups: config.syncGuardMinGroups,
+      lookaheadDays: config.syncGuardLookaheadDays
+    }
+  });
+  const bellScheduleRepository = new BellScheduleRepository(db);
+  await bellScheduleRepository.ensureIndexes();
+
+  // One bell schedule for the bot, reminders, calendar feeds and API lesson times.
+  const bellSchedule = new BellSchedule({
+    timezone: config.syncTimezone,
+    repository: bellScheduleRepository,
+    logger,
+    lessonStartTimes: config.reminderLessonStartTimes,
+    lessonPartMinutes: config.lessonPartMinutes,
+    midLessonBreakMinutes: config.midLessonBreakMinutes,
+    betweenLessonsBreakMinutes: config.betweenLessonsBreakMinutes
+  });
+  const academicCalendarRepository = new AcademicCalendarRepository(db);
+  await academicCalendarRepository.ensureIndexes();
+  const academicCalendar = new AcademicCalendar({
+    timezone: config.syncTimezone,
+    repository: academicCalendarRepository,
+    scheduleRepository: repository,
+    logger
+  });
+  // Bell schedules and calendar entries stay in memory; reload them when any replica bumps `meta.revision`.
+  const revisionWatcher = new RevisionWatcher({
+    scheduleRepository: repository,
+    targets: [bellSchedule, academicCalendar],
+    logger
+  });
+  await revisionWatcher.check();
+  const teacherScheduleService = new TeacherScheduleService({ scheduleRepository: repository });
+  const snapshotCache = new SnapshotCache({ scheduleRepository: repository, teacherScheduleService, logger });
+  const calendarFeedService = new CalendarFeedService({
+    scheduleRepository: repository,
+    teacherScheduleService,
+    bellSchedule
+  });
+  const roomService = new RoomService({ scheduleRepository: repository });
+  const teacherWorkloadService = new TeacherWorkloadService({
+    scheduleRepository: repository,
+    teacherScheduleService,
+    timezone: config.syncTimezone
+  });
+  const groupProgressService = new GroupProgressService({
+    scheduleRepository: repository,
+    academicCalendar,
     timezone: config.syncTimezone
   });
+  const conflictReportService = new ConflictReportService({
+    scheduleRepository: repository,
+    teacherScheduleService,
+    timezone: config.syncTimezone
+  });
+  const scheduleOverrideService = new ScheduleOverrideService({ scheduleRepository: repository, logger });
+  // Overrides end once the scraped source shows the same change.
+  syncService.on("finished", ({ result }) => scheduleOverrideService.expireSatisfiedOverrides(result.syncId));
+  const webhookRepository = new WebhookRepository(db);
+  await webhookRepository.ensureIndexes();
+  const webhookService = new WebhookService({
+    repository: webhookRepository,
+    logger,
+    timeoutMs: config.webhookTimeoutMs,
+    maxAttempts: config.webhookMaxAttempts,
+    retryBaseSeconds: config.webhookRetryBaseSeconds,
+    deliveryRetentionDays: config.webhookDeliveryRetentionDays
+  });
+  webhookService.attach(syncService);
+  const readinessService = new ReadinessService({
+    db,
+    scheduleRepository: repository,
+    timeoutMs: config.readyTimeoutMs,
+    maxSnapshotAgeHours: config.readyMaxSnapshotAgeHours,
+    maxSourceAgeHours: config.readyMaxSourceAgeHours,
+    maxSyncRunningMinutes: config.readyMaxSyncRunningMinutes,
+    maxApi:
+      config.maxBotEnabled && config.readyCheckMaxApi
+        ? { token: config.maxBotToken, apiBaseUrl: config.maxApiBaseUrl }
+        : null
+  });
+  const apiKeyRepository = new ApiKeyRepository(db);
+  await apiKeyRepository.ensureIndexes();
+  const apiKeyService = new ApiKeyService({
+    apiKeyRepository,
+    logger,
+    enabled: config.apiAuthEnabled,
+    readRequiresKey: config.apiReadRequiresKey
+  });
+  const requireRead = apiKeyService.requireScope("schedule:read");
+  // Calendar apps subscribe by URL only, so feeds also take the key as `?key=`.
+  const requireFeedRead = apiKeyService.requireScope("schedule:read", { allowQueryKey: true });
+  const requireSyncTrigger = apiKeyService.requireScope("sync:trigger");
+  const requireAdmin = apiKeyService.requireScope("admin");
+  const rateLimitRepository = new RateLimitRepository(db);
+  await rateLimitRepository.ensureIndexes();
+  const rateLimiter = new RateLimiter({
+    repository: rateLimitRepository,
+    logger,
+    enabled: config.rateLimitEnabled,
+    windowSeconds: config.rateLimitWindowSeconds,
+    defaultMax: config.rateLimitMax,
+    routeQuotas: config.rateLimitRoutes
+  });
+  const rateLimit = rateLimiter.middleware();
+  const responseCache = new ResponseCache({
+    scheduleRepository: repository,
+    timezone: config.syncTimezone,
+    revisionWatcher,
+    enabled: config.responseCacheEnabled,
+    maxEntries: config.responseCacheMaxEntries,
+    maxBytes: config.responseCacheMaxMb * 1024 * 1024
+  });
+  // Versions change with the active sync anyway; clearing just frees memory held by old responses.
+  syncService.on("promoted", () => responseCache.clear());
+  const conditionalGet = responseCache.conditional();
   let maxBotService = null;
   let reminderService = null;
 
   const app = express();
+  // Behind a reverse proxy req.ip (used by the rate limiter) must come from X-Forwarded-For.
+  if (config.trustProxyHops > 0) app.set("trust proxy", config.trustProxyHops);
   app.use(express.json());
+  // Registered after the body parser: its stream callbacks would drop the async log context.
+  app.use((req, res, next) => {
+    const incomingId = String(req.get("x-request-id") || "");
+    const requestId = REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.setHeader("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const level = PROBE_PATHS.has(req.path) ? "debug" : res.statusCode >= 500 ? "warn" : "info";
+      req.log[level]("HTTP request finished", {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+      });
+    });
+
+    logger.withContext({ requestId }, next);
+  });
+  if (!config.apiAuthEnabled) logger.warn("API key authentication is disabled (API_AUTH_ENABLED=false)");
 
   if (config.maxBotEnabled) {
     if (!config.maxBotToken) {
       throw new Error("MAX_BOT_ENABLED=true but MAX_BOT_TOKEN is empty");
     }
 
+    // Only the bot and reminders read the snapshot cache, so it is kept warm only with the bot enabled.
+    snapshotCache.attach(syncService);
     maxBotService = new MaxBotService({
       db,
       scheduleRepository: repository,
       syncService,
+      roomService,
+      teacherScheduleService,
+      snapshotCache,
+      groupProgressService,
       logger,
       token: config.maxBotToken,
       apiBaseUrl: config.maxApiBaseUrl,
       timeoutMs: config.httpTimeoutMs,
       timezone: config.syncTimezone,
-      lessonStartTimes: config.reminderLessonStartTimes,
-      lessonPartMinutes: config.lessonPartMinutes,
-      midLessonBreakMinutes: config.midLessonBreakMinutes,
-      betweenLessonsBreakMinutes: config.betweenLessonsBreakMinutes,
+      bellSchedule,
+      academicCalendar,
       adminUserIds: config.maxAdminUserIds
     });
 
@@ -62,6 +241,20 @@ async function bootstrap() {
 
     if (config.reminderEnabled) {
       reminderService = new ReminderService({
+        db,
+        scheduleRepository: repository,
+        snapshotCache,
+        logger,
+        token: config.maxBotToken,
+        apiBaseUrl: config.maxApiBaseUrl,
+        timeoutMs: config.httpTimeoutMs,
+        timezone: config.syncTimezone,
+        bellSchedule
+      });
+    }
+
+    if (config.changeNotifyEnabled) {
+      const changeNotificationService = new ChangeNotificationService({
         db,
         scheduleRepository: repository,
         logger,
@@ -69,8 +262,28 @@ async function bootstrap() {
         apiBaseUrl: config.maxApiBaseUrl,
         timeoutMs: config.httpTimeoutMs,
         timezone: config.syncTimezone,
-        lessonStartTimes: config.reminderLessonStartTimes
+        daysAhead: config.changeNotifyDaysAhead
       });
+
+      syncService.on("finished", ({ result, changes }) =>
+        changeNotificationService.notifySyncChanges({ syncId: result.syncId, changes })
+      );
+    }
+
+    if (config.conflictNotifyEnabled) {
+      const conflictNotificationService = new ConflictNotificationService({
+        scheduleRepository: repository,
+        conflictReportService,
+        logger,
+        token: config.maxBotToken,
+        apiBaseUrl: config.maxApiBaseUrl,
+        timeoutMs: config.httpTimeoutMs,
+        adminUserIds: config.maxAdminUserIds
+      });
+
+      syncService.on("finished", ({ result }) =>
+        conflictNotificationService.notifyNewConflicts({ syncId: result.syncId })
+      );
     }
 
     registerMaxWebhookRoute(app, {
@@ -84,6 +297,17 @@ async function bootstrap() {
     });
   }
 
+  // Readiness: dependencies and data freshness, 503 with a per-check breakdown when unhealthy.
+  app.get("/ready", async (req, res) => {
+    const result = await readinessService.check();
+    res.status(result.ok ? 200 : 503).json(result);
+  });
+
+  app.get("/metrics", (req, res) => {
+    res.set("Content-Type", metrics.CONTENT_TYPE);
+    res.send(metrics.registry.render());
+  });
+
   // Liveness endpoint plus active snapshot metadata.
   app.get("/health", async (req, res) => {
     const meta = await repository.getActiveSyncMeta();
@@ -95,35 +319,267 @@ async function bootstrap() {
     });
   });
 
-  app.get("/api/groups", async (req, res) => {
-    const groups = await repository.getActiveGroups();
-    res.json({ count: groups.length, groups });
+  app.get("/api/groups", requireRead, rateLimit, conditionalGet, async (req, res) => {
+    await responseCache.respond(req, res, async () => {
+      const groups = await repository.getActiveGroups();
+      return { status: 200, body: { count: groups.length, groups } };
+    });
   });
 
-  app.get("/api/teachers", async (req, res) => {
-    const teachers = await repository.getActiveTeachers();
-    const query = String(req.query.query || "").trim().toLowerCase();
-    const filtered = query
-      ? teachers.filter((teacher) => String(teacher.name || "").toLowerCase().includes(query))
-      : teachers;
-    res.json({ count: filtered.length, teachers: filtered });
+  app.get("/api/groups/:code/progress", requireRead, rateLimit, async (req, res) => {
+    const result = await groupProgressService.getGroupProgress(req.params.code, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    if (!result.ok) {
+      res.status(result.code === "not_found" ? 404 : 400).json(result);
+      return;
+    }
+
+    res.json(result);
   });
 
-  app.get("/api/schedule", async (req, res) => {
-    const filters = {
-      group: req.query.group,
-      groupCode: req.query.groupCode,
+  app.get("/api/teachers", requireRead, rateLimit, conditionalGet, async (req, res) => {
+    await responseCache.respond(req, res, async () => {
+      const teachers = await repository.getActiveTeachers();
+      const query = String(req.query.query || "").trim().toLowerCase();
+      const filtered = query
+        ? teachers.filter((teacher) => String(teacher.name || "").toLowerCase().includes(query))
+        : teachers;
+      return { status: 200, body: { count: filtered.length, teachers: filtered } };
+    }, { params: ["query"] });
+  });
+
+  // Same teacher matching and merging as the bot: teacher-page rows first, parallel groups merged.
+  app.get("/api/teachers/:key/schedule", requireRead, rateLimit, conditionalGet, async (req, res) => {
+    await responseCache.respond(req, res, async () => {
+      const result = await teacherScheduleService.getTeacherSchedule(req.params.key, {
+        date: req.query.date,
+        from: req.query.from,
+        to: req.query.to
+      });
+      if (!result.ok) return { status: result.code === "not_found" ? 404 : 400, body: result };
+
+      return {
+        status: 200,
+        body: {
+          teacher: result.teacher,
+          count: result.lessons.length,
+          lessons: result.lessons.map((lesson) => bellSchedule.withLessonTimes(lesson))
+        }
+      };
+    }, { params: ["date", "from", "to"] });
+  });
+
+  app.get("/api/schedule", requireRead, rateLimit, conditionalGet, async (req, res) => {
+    await responseCache.respond(req, res, async () => {
+      const parsed = parseScheduleQuery(req.query);
+      if (!parsed.ok) return { status: 400, body: parsed };
+
+      const result = await repository.queryActiveLessons(parsed.filters, parsed.options);
+      if (!result.ok) return { status: 410, body: result };
+
+      const lessons = result.lessons.map((lesson) =>
+        pickFields(bellSchedule.withLessonTimes(lesson), parsed.outputFields)
+      );
+      if (!parsed.options.limit) return { status: 200, body: { count: lessons.length, lessons } };
+
+      const nextCursor =
+        result.nextOffset === null
+          ? null
+          : encodeCursor({ syncId: result.syncId, firstDate: result.firstDate, offset: result.nextOffset });
+      return { status: 200, body: { count: lessons.length, lessons, nextCursor } };
+    }, { params: SCHEDULE_QUERY_PARAMS });
+  });
+
+  app.get("/api/rooms", requireRead, rateLimit, async (req, res) => {
+    const rooms = await roomService.listRooms();
+    res.json({ count: rooms.length, rooms });
+  });
+
+  app.get("/api/rooms/free", requireRead, rateLimit, async (req, res) => {
+    const result = await roomService.findFreeRooms({
       date: req.query.date,
-      teacher: req.query.teacher,
-      room: req.query.room
+      lessonNumber: req.query.lessonNumber
+    });
+    if (!result.ok) {
+      res.status(400).json(result);
+      return;
+    }
+
+    res.json({
+      date: result.date,
+      lessonNumber: result.lessonNumber,
+      count: result.rooms.length,
+      rooms: result.rooms,
+      busyRooms: result.busyRooms
+    });
+  });
+
+  app.get("/api/rooms/:room/schedule", requireRead, rateLimit, async (req, res) => {
+    const resolved = await roomService.resolveRoom(req.params.room);
+    if (!resolved.ok) {
+      res.status(404).json(resolved);
+      return;
+    }
+
+    const date = req.query.date ? String(req.query.date) : undefined;
+    const lessons = await roomService.getRoomLessons(resolved.rooms, date);
+    res.json({
+      room: resolved.room,
+      rooms: resolved.rooms,
+      date: date || null,
+      count: lessons.length,
+      lessons: lessons.map((lesson) => bellSchedule.withLessonTimes(lesson))
+    });
+  });
+
+  app.get("/api/bells", requireRead, rateLimit, async (req, res) => {
+    const bells = bellSchedule.describe(req.query.date ? String(req.query.date) : null);
+    if (!bells) {
+      res.status(400).json({ ok: false, error: "date must be in YYYY-MM-DD format" });
+      return;
+    }
+    res.json(bells);
+  });
+
+  // Workload analytics: JSON by default, `format=csv` for spreadsheets.
+  function readWorkloadQuery(req, res) {
+    const format = req.query.format ? String(req.query.format) : "json";
+    if (!["json", "csv"].includes(format)) {
+      res.status(400).json({ ok: false, error: "format must be json or csv" });
+      return null;
+    }
+    return {
+      format,
+      params: {
+        from: req.query.from ? String(req.query.from) : undefined,
+        to: req.query.to ? String(req.query.to) : undefined,
+        groupBy: req.query.groupBy ? String(req.query.groupBy) : undefined
+      }
     };
+  }
+
+  function sendWorkloadCsv(res, teachers, filename) {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(workloadToCsv(teachers));
+  }
+
+  app.get("/api/analytics/teachers", requireRead, rateLimit, async (req, res) => {
+    const query = readWorkloadQuery(req, res);
+    if (!query) return;
+
+    const result = await teacherWorkloadService.getWorkload(query.params);
+    if (!result.ok) {
+      res.status(400).json(result);
+      return;
+    }
+    if (query.format === "csv") {
+      sendWorkloadCsv(res, result.teachers, `teachers-workload-${result.from}-${result.to}.csv`);
+      return;
+    }
+
+    res.json({
+      from: result.from,
+      to: result.to,
+      groupBy: result.groupBy,
+      count: result.teachers.length,
+      teachers: result.teachers
+    });
+  });
+
+  app.get("/api/analytics/teachers/:key", requireRead, rateLimit, async (req, res) => {
+    const query = readWorkloadQuery(req, res);
+    if (!query) return;
+
+    const result = await teacherWorkloadService.getTeacherWorkload(req.params.key, query.params);
+    if (!result.ok) {
+      res.status(result.code === "not_found" ? 404 : 400).json(result);
+      return;
+    }
+    if (query.format === "csv") {
+      const { teacher } = result;
+      const filename = `teacher-workload-${teacher.code || "teacher"}-${teacher.from}-${teacher.to}.csv`;
+      sendWorkloadCsv(res, [teacher], filename);
+      return;
+    }
+
+    res.json(result.teacher);
+  });
+
+  app.get("/api/reports/conflicts", requireRead, rateLimit, async (req, res) => {
+    const result = await conflictReportService.findConflicts({
+      date: req.query.date ? String(req.query.date) : undefined,
+      from: req.query.from ? String(req.query.from) : undefined,
+      to: req.query.to ? String(req.query.to) : undefined,
+      type: req.query.type ? String(req.query.type) : undefined
+    });
+    if (!result.ok) {
+      res.status(400).json(result);
+      return;
+    }
 
-    const lessons = await repository.getActiveLessons(filters);
-    res.json({ count: lessons.length, lessons });
+    res.json({
+      from: result.from,
+      to: result.to,
+      count: result.conflicts.length,
+      conflicts: result.conflicts
+    });
   });
 
-  app.post("/api/sync", async (req, res) => {
+  app.get("/api/calendar", requireRead, rateLimit, async (req, res) => {
+    const result = await academicCalendar.describeRange({
+      date: req.query.date ? String(req.query.date) : undefined,
+      from: req.query.from ? String(req.query.from) : undefined,
+      to: req.query.to ? String(req.query.to) : undefined
+    });
+    if (!result.ok) {
+      res.status(400).json(result);
+      return;
+    }
+
+    res.json({
+      timezone: result.timezone,
+      from: result.from,
+      to: result.to,
+      days: result.days
+    });
+  });
+
+  // iCalendar feeds: stable UIDs let calendar clients update events in place between syncs.
+  function sendCalendar(res, feed, filename) {
+    if (!feed) {
+      res.status(404).json({ ok: false, error: "calendar not found" });
+      return;
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="${filename}.ics"`);
+    res.send(feed.ics);
+  }
+
+  app.get("/api/calendar/group/:code.ics", requireFeedRead, rateLimit, async (req, res) => {
+    const feed = await calendarFeedService.buildGroupFeed(req.params.code);
+    sendCalendar(res, feed, `group-${encodeURIComponent(req.params.code)}`);
+  });
+
+  app.get("/api/calendar/teacher/:key.ics", requireFeedRead, rateLimit, async (req, res) => {
+    const feed = await calendarFeedService.buildTeacherFeed(req.params.key);
+    sendCalendar(res, feed, `teacher-${encodeURIComponent(req.params.key)}`);
+  });
+
+  app.get("/api/calendar/room/:room.ics", requireFeedRead, rateLimit, async (req, res) => {
+    const feed = await calendarFeedService.buildRoomFeed(req.params.room);
+    sendCalendar(res, feed, `room-${encodeURIComponent(req.params.room)}`);
+  });
+
+  app.post("/api/sync", requireSyncTrigger, async (req, res) => {
     const result = await syncService.run("manual");
+    if (result.rejected) {
+      res.status(422).json(result);
+      return;
+    }
     if (!result.ok && !result.skipped) {
       res.status(500).json(result);
       return;
@@ -131,7 +587,7 @@ async function bootstrap() {
     res.json(result);
   });
 
-  app.get("/api/sync/status", async (req, res) => {
+  app.get("/api/sync/status", requireRead, rateLimit, async (req, res) => {
     const state = syncService.getState();
     const meta = await repository.getActiveSyncMeta();
     const lastRun = await repository.getLastSyncRun();
@@ -146,6 +602,180 @@ async function bootstrap() {
     });
   });
 
+  app.get("/api/sync/:syncId/changes", requireRead, rateLimit, async (req, res) => {
+    const syncRun = await repository.getSyncRun(req.params.syncId);
+    if (!syncRun) {
+      res.status(404).json({ ok: false, error: "sync run not found" });
+      return;
+    }
+
+    const filters = {
+      group: req.query.group,
+      groupCode: req.query.groupCode,
+      date: req.query.date,
+      teacher: req.query.teacher
+    };
+
+    const changes = await repository.getLessonChanges(syncRun.syncId, filters);
+    res.json({
+      syncId: syncRun.syncId,
+      previousSyncId: syncRun.changes?.previousSyncId || null,
+      summary: syncRun.changes || null,
+      count: changes.length,
+      changes
+    });
+  });
+
+  app.get("/api/admin/snapshots", requireAdmin, async (req, res) => {
+    const meta = await repository.getActiveSyncMeta();
+    const snapshots = await repository.listSnapshots();
+    res.json({
+      activeSyncId: meta?.activeSyncId || null,
+      retention: config.snapshotRetention,
+      count: snapshots.length,
+      snapshots
+    });
+  });
+
+  app.get("/api/admin/bells", requireAdmin, async (req, res) => {
+    res.json({ default: bellSchedule.describe(), ...bellSchedule.listCustomSchedules() });
+  });
+
+  app.put("/api/admin/bells/weekdays/:weekday", requireAdmin, async (req, res) => {
+    const result = await bellSchedule.saveCustomSchedule("weekday", req.params.weekday, req.body);
+    if (result.ok) await responseCache.invalidate();
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
+  app.delete("/api/admin/bells/weekdays/:weekday", requireAdmin, async (req, res) => {
+    const deleted = await bellSchedule.deleteCustomSchedule("weekday", req.params.weekday);
+    if (!deleted) {
+      res.status(404).json({ ok: false, error: "weekday template not found" });
+      return;
+    }
+    await responseCache.invalidate();
+    res.json({ ok: true });
+  });
+
+  app.put("/api/admin/bells/dates/:date", requireAdmin, async (req, res) => {
+    const result = await bellSchedule.saveCustomSchedule("date", req.params.date, req.body);
+    if (result.ok) await responseCache.invalidate();
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
+  app.delete("/api/admin/bells/dates/:date", requireAdmin, async (req, res) => {
+    const deleted = await bellSchedule.deleteCustomSchedule("date", req.params.date);
+    if (!deleted) {
+      res.status(404).json({ ok: false, error: "date override not found" });
+      return;
+    }
+    await responseCache.invalidate();
+    res.json({ ok: true });
+  });
+
+  app.get("/api/admin/overrides", requireAdmin, async (req, res) => {
+    const overrides = await scheduleOverrideService.listOverrides({
+      includeExpired: req.query.includeExpired === "true"
+    });
+    res.json({ count: overrides.length, overrides });
+  });
+
+  app.post("/api/admin/overrides", requireAdmin, async (req, res) => {
+    const result = await scheduleOverrideService.createOverride(req.body);
+    if (result.ok) await responseCache.invalidate();
+    res.status(result.ok ? 201 : 400).json(result);
+  });
+
+  app.delete("/api/admin/overrides/:id", requireAdmin, async (req, res) => {
+    const deleted = await scheduleOverrideService.deleteOverride(req.params.id);
+    if (!deleted) {
+      res.status(404).json({ ok: false, error: "override not found" });
+      return;
+    }
+    await responseCache.invalidate();
+    res.json({ ok: true });
+  });
+
+  app.get("/api/admin/calendar", requireAdmin, async (req, res) => {
+    const entries = academicCalendar.listEntries();
+    res.json({ count: entries.length, entries });
+  });
+
+  app.post("/api/admin/calendar", requireAdmin, async (req, res) => {
+    const result = await academicCalendar.addEntry(req.body);
+    if (result.ok) await responseCache.invalidate();
+    res.status(result.ok ? 201 : 400).json(result);
+  });
+
+  app.delete("/api/admin/calendar/:id", requireAdmin, async (req, res) => {
+    const deleted = await academicCalendar.deleteEntry(req.params.id);
+    if (!deleted) {
+      res.status(404).json({ ok: false, error: "calendar entry not found" });
+      return;
+    }
+    await responseCache.invalidate();
+    res.json({ ok: true });
+  });
+
+  app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+    const webhooks = await webhookService.listSubscriptions();
+    res.json({ count: webhooks.length, webhooks });
+  });
+
+  app.post("/api/admin/webhooks", requireAdmin, async (req, res) => {
+    const result = await webhookService.createSubscription(req.body);
+    res.status(result.ok ? 201 : 400).json(result);
+  });
+
+  app.patch("/api/admin/webhooks/:id", requireAdmin, async (req, res) => {
+    const result = await webhookService.updateSubscription(req.params.id, req.body);
+    if (!result.ok) {
+      res.status(result.code === "not_found" ? 404 : 400).json(result);
+      return;
+    }
+    res.json(result);
+  });
+
+  app.delete("/api/admin/webhooks/:id", requireAdmin, async (req, res) => {
+    const deleted = await webhookService.deleteSubscription(req.params.id);
+    if (!deleted) {
+      res.status(404).json({ ok: false, error: "webhook not found" });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  app.get("/api/admin/webhooks/:id/deliveries", requireAdmin, async (req, res) => {
+    const result = await webhookService.listDeliveries(req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
+    if (!result.ok) {
+      res.status(result.code === "not_found" ? 404 : 400).json(result);
+      return;
+    }
+    res.json({ count: result.deliveries.length, deliveries: result.deliveries });
+  });
+
+  app.post("/api/admin/snapshots/:syncId/activate", requireAdmin, async (req, res) => {
+    const result = await syncService.activateSnapshot(req.params.syncId, "api");
+    if (!result.ok) {
+      res.status(result.code === "not_found" ? 404 : 409).json(result);
+      return;
+    }
+    res.json(result);
+  });
+
+  app.post("/api/admin/snapshots/:syncId/promote", requireAdmin, async (req, res) => {
+    const result = await syncService.forcePromote(req.params.syncId, "api");
+    if (!result.ok) {
+      const status = { not_found: 404, failed: 500 }[result.code] || 409;
+      res.status(status).json(result);
+      return;
+    }
+    res.json(result);
+  });
+
   cron.schedule(
     config.syncCron,
     () => {
@@ -169,6 +799,24 @@ async function bootstrap() {
     );
   }
 
+  cron.schedule(
+    config.settingsRefreshCron,
+    () => {
+      revisionWatcher.tick();
+    },
+    { timezone: config.syncTimezone }
+  );
+
+  cron.schedule(
+    config.webhookRetryCron,
+    () => {
+      webhookService.retryDueDeliveries().catch((error) => {
+        logger.error("Webhook retry tick failed", { error: error.message });
+      });
+    },
+    { timezone: config.syncTimezone }
+  );
+
   if (config.runSyncOnStartup) {
     syncService.run("startup").catch((error) => {
       logger.error("Startup sync failed", { error: error.message });
@@ -0,0 +1,246 @@
+const { teacherMatchKey, dedupeTeachers } = require("./teacherScheduleService");
+const { normalizeRoomKey } = require("./roomService");
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item));
+}
+
+function addToIndex(index, key, lesson) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(lesson);
+}
+
+function inDateRange(lesson, { date, from, to }) {
+  return (!date || lesson.date === date) && (!from || lesson.date >= from) && (!to || lesson.date <= to);
+}
+
+// Same codes `TeacherScheduleService.selectTeacherLessons` matches teacher-page rows by.
+function lessonTeacherCodes(lesson) {
+  const codeFromUrl = String(lesson.sourceUrl || "").match(/cp(\d+)\.htm/i)?.[1] || "";
+  const codeFromField = String(lesson.teacherCode || "");
+  return Array.from(new Set([codeFromUrl, codeFromField].filter(Boolean)));
+}
+
+/**
+ * @param {string} version
+ * @param {{groups: Array<Record<string, any>>, teachers: Array<Record<string, any>>, lessons: Array<Record<string, any>>, firstDate: string|null}} data
+ * @returns {Record<string, any>}
+ */
+function buildSnapshot(version, { groups, teachers, lessons, firstDate }) {
+  const snapshot = {
+    version,
+    groups,
+    teachers: dedupeTeachers(teachers),
+    lessons,
+    // Earlier days are in the lesson archive, which is not cached.
+    firstDate,
+    byGroupCode: new Map(),
+    byTeacherKey: new Map(),
+    byTeacherCode: new Map(),
+    byRoom: new Map(),
+    byDate: new Map()
+  };
+
+  lessons.forEach((lesson) => {
+    const date = String(lesson.date || "");
+    addToIndex(snapshot.byGroupCode, String(lesson.groupCode || ""), lesson);
+    addToIndex(snapshot.byTeacherKey, teacherMatchKey(lesson.teacher), lesson);
+    lessonTeacherCodes(lesson).forEach((code) => addToIndex(snapshot.byTeacherCode, code, lesson));
+    addToIndex(snapshot.byRoom, normalizeRoomKey(lesson.room), lesson);
+    addToIndex(snapshot.byDate, date, lesson);
+  });
+
+  return snapshot;
+}
+
+class SnapshotCache {
+  /**
+   * Active snapshot (overrides applied) kept in memory with indexes by group, teacher, room and date.
+   * Reloaded when `meta.activeSyncId` or `meta.revision` changes, so every call costs one `meta` read.
+   * Returned lessons are shared between callers and must not be modified.
+   *
+   * @param {{scheduleRepository: any, teacherScheduleService: import("./teacherScheduleService").TeacherScheduleService, logger?: any}} deps
+   */
+  constructor({ scheduleRepository, teacherScheduleService, logger = null }) {
+    this.scheduleRepository = scheduleRepository;
+    this.teacherScheduleService = teacherScheduleService;
+    this.logger = logger;
+    this.snapshot = null;
+    /** @type {{version: string, promise: Promise<Record<string, any>>}|null} */
+    this.loading = null;
+  }
+
+  /**
+   * Preload the new snapshot after each promotion instead of on the first bot request.
+   *
+   * @param {{on: (eventName: string, listener: (payload: any) => any) => void}} syncService
+   * @returns {void}
+   */
+  attach(syncService) {
+    syncService.on("promoted", () => this.refresh());
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      await this.getSnapshot();
+    } catch (error) {
+      this.logger?.warn("Snapshot cache refresh failed", { error: error.message });
+    }
+  }
+
+  /**
+   * @returns {Promise<Record<string, any>>} indexed snapshot of the current version
+   */
+  async getSnapshot() {
+    const meta = await this.scheduleRepository.getActiveSyncMeta();
+    const syncId = meta?.activeSyncId || null;
+    const version = syncId ? `${syncId}|${meta.revision || 0}` : "none";
+    if (this.snapshot?.version === version) return this.snapshot;
+    // Concurrent requests share one load.
+    if (this.loading?.version === version) return this.loading.promise;
+
+    const promise = this.load(version, syncId);
+    this.loading = { version, promise };
+    try {
+      return await promise;
+    } finally {
+      if (this.loading?.promise === promise) this.loading = null;
+    }
+  }
+
+  /**
+   * @param {string} version
+   * @param {string|null} syncId
+   * @returns {Promise<Record<string, any>>}
+   */
+  async load(version, syncId) {
+    const startedAt = Date.now();
+    const [groups, teachers, lessons, firstDate] = syncId
+      ? await Promise.all([
+          this.scheduleRepository.getActiveGroups(),
+          this.scheduleRepository.getActiveTeachers(),
+          this.scheduleRepository.getActiveLessons(),
+          this.scheduleRepository.getSnapshotFirstDate(syncId)
+        ])
+      : [[], [], [], null];
+
+    const snapshot = buildSnapshot(version, { groups, teachers, lessons, firstDate });
+    this.snapshot = snapshot;
+    this.logger?.info("Snapshot cache loaded", {
+      version,
+      groups: groups.length,
+      lessons: lessons.length,
+      durationMs: Date.now() - startedAt
+    });
+    return snapshot;
+  }
+
+  /**
+   * @returns {Promise<Array<Record<string, any>>>} active groups sorted by name
+   */
+  async getGroups() {
+    const snapshot = await this.getSnapshot();
+    return snapshot.groups.slice();
+  }
+
+  /**
+   * @returns {Promise<Array<{key: string, code: string|null, name: string}>>} deduplicated active teachers
+   */
+  async getTeachers() {
+    const snapshot = await this.getSnapshot();
+    return snapshot.teachers.slice();
+  }
+
+  /**
+   * Get active lessons like `ScheduleRepository.getActiveLessons`, served from the indexes.
+   * Date filters before the first cached day (archived days) are passed to the repository.
+   *
+   * @param {{
+   *  groupCode?: string|number|Array<string|number>,
+   *  teacherKey?: string,
+   *  room?: string,
+   *  date?: string,
+   *  from?: string,
+   *  to?: string
+   * }} [filters]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getLessons(filters = {}) {
+    const snapshot = await this.getSnapshot();
+    const startDate = filters.date || filters.from;
+    if (startDate && snapshot.firstDate && startDate < snapshot.firstDate) {
+      const { teacherKey, room, ...repositoryFilters } = filters;
+      const lessons = await this.scheduleRepository.getActiveLessons(repositoryFilters);
+      return lessons.filter(
+        (lesson) =>
+          (!teacherKey || teacherMatchKey(lesson.teacher) === teacherKey) &&
+          (!room || normalizeRoomKey(lesson.room) === normalizeRoomKey(room))
+      );
+    }
+
+    return this.filterLessons(snapshot, filters);
+  }
+
+  /**
+   * Filter cached lessons, starting from the narrowest index. Keeps the snapshot order.
+   *
+   * @param {Record<string, any>} snapshot
+   * @param {Record<string, any>} filters
+   * @returns {Array<Record<string, any>>}
+   */
+  filterLessons(snapshot, { groupCode, teacherKey, room, date, from, to }) {
+    const groupCodes = toList(groupCode);
+    const roomKey = room ? normalizeRoomKey(room) : "";
+    const candidates = [];
+    if (groupCodes.length === 1) candidates.push(snapshot.byGroupCode.get(groupCodes[0]) || []);
+    if (teacherKey) candidates.push(snapshot.byTeacherKey.get(teacherKey) || []);
+    if (roomKey) candidates.push(snapshot.byRoom.get(roomKey) || []);
+    if (date) candidates.push(snapshot.byDate.get(date) || []);
+    const source = candidates.length
+      ? candidates.reduce((smallest, list) => (list.length < smallest.length ? list : smallest))
+      : snapshot.lessons;
+
+    return source.filter(
+      (lesson) =>
+        (!groupCodes.length || groupCodes.includes(String(lesson.groupCode || ""))) &&
+        (!teacherKey || teacherMatchKey(lesson.teacher) === teacherKey) &&
+        (!roomKey || normalizeRoomKey(lesson.room) === roomKey) &&
+        inDateRange(lesson, { date, from, to })
+    );
+  }
+
+  /**
+   * Teacher lessons with the same matching and merging as `TeacherScheduleService.getTeacherLessons`,
+   * reading only the teacher's indexed rows unless the surname fallback is needed.
+   *
+   * @param {{key: string, code?: string|null, name: string}} teacher
+   * @param {{date?: string, from?: string, to?: string}} [filters]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getTeacherLessons(teacher, filters = {}) {
+    const snapshot = await this.getSnapshot();
+    const startDate = filters.date || filters.from;
+    if (startDate && snapshot.firstDate && startDate < snapshot.firstDate) {
+      return this.teacherScheduleService.getTeacherLessons(teacher, filters);
+    }
+
+    const dateFilters = { date: filters.date, from: filters.from, to: filters.to };
+    const teacherCode = String(teacher.code || "").trim();
+    const indexed = new Set([
+      ...(teacherCode ? snapshot.byTeacherCode.get(teacherCode) || [] : []),
+      ...(snapshot.byTeacherKey.get(teacher.key) || [])
+    ]);
+    const candidates = Array.from(indexed).filter((lesson) => inDateRange(lesson, dateFilters));
+    // Nothing by code or name: the surname fallback has to look at every lesson in the range.
+    const lessons = candidates.length ? candidates : this.filterLessons(snapshot, dateFilters);
+
+    return this.teacherScheduleService.selectTeacherLessons(teacher, lessons);
+  }
+}
+
+module.exports = { SnapshotCache };
@@ -0,0 +1,147 @@
+// Fields compared between two versions of the same lesson slot.
+const TRACKED_FIELDS = ["subject", "room", "teacher"];
+
+function slotKey(lesson) {
+  return `${lesson.groupCode}|${lesson.date}|${lesson.lessonNumber}`;
+}
+
+function lessonSignature(lesson) {
+  return TRACKED_FIELDS.map((field) => String(lesson[field] || "")).join("|");
+}
+
+function pickTracked(lesson) {
+  return {
+    subject: lesson.subject || null,
+    room: lesson.room || null,
+    teacher: lesson.teacher || null,
+    columnIndex: lesson.columnIndex || null
+  };
+}
+
+function groupBySlot(lessons, fromDate) {
+  const map = new Map();
+
+  lessons.forEach((lesson) => {
+    // Teacher-page rows duplicate group-page rows and would be reported twice.
+    if (String(lesson.groupCode || "").startsWith("tp:")) return;
+    if (fromDate && String(lesson.date || "") < fromDate) return;
+
+    const key = slotKey(lesson);
+    const list = map.get(key) || [];
+    list.push(lesson);
+    map.set(key, list);
+  });
+
+  return map;
+}
+
+function buildChange(type, before, after) {
+  const base = after || before;
+  const changedFields =
+    type === "modified"
+      ? TRACKED_FIELDS.filter((field) => String(before[field] || "") !== String(after[field] || ""))
+      : [];
+  const teachers = Array.from(
+    new Set([before?.teacher, after?.teacher].filter(Boolean).map((value) => String(value)))
+  );
+
+  return {
+    type,
+    groupCode: String(base.groupCode),
+    groupName: base.groupName || null,
+    date: base.date,
+    lessonNumber: base.lessonNumber,
+    changedFields,
+    teachers,
+    before: before ? pickTracked(before) : null,
+    after: after ? pickTracked(after) : null
+  };
+}
+
+/**
+ * Compare lessons of one slot (group/date/lesson number).
+ * Identical lessons are skipped, the rest are paired by column and then by order.
+ *
+ * @param {Array<Record<string, any>>} previous
+ * @param {Array<Record<string, any>>} next
+ * @returns {Array<Record<string, any>>}
+ */
+function diffSlot(previous, next) {
+  const nextLeft = next.slice();
+  const previousLeft = [];
+
+  previous.forEach((lesson) => {
+    const signature = lessonSignature(lesson);
+    const index = nextLeft.findIndex((candidate) => lessonSignature(candidate) === signature);
+    if (index >= 0) {
+      nextLeft.splice(index, 1);
+      return;
+    }
+    previousLeft.push(lesson);
+  });
+
+  const changes = [];
+  const unpaired = [];
+  previousLeft.forEach((lesson) => {
+    const index = nextLeft.findIndex((candidate) => candidate.columnIndex === lesson.columnIndex);
+    if (index >= 0) {
+      changes.push(buildChange("modified", lesson, nextLeft[index]));
+      nextLeft.splice(index, 1);
+      return;
+    }
+    unpaired.push(lesson);
+  });
+
+  unpaired.forEach((lesson) => {
+    if (nextLeft.length) {
+      changes.push(buildChange("modified", lesson, nextLeft.shift()));
+      return;
+    }
+    changes.push(buildChange("removed", lesson, null));
+  });
+
+  nextLeft.forEach((lesson) => changes.push(buildChange("added", null, lesson)));
+  return changes;
+}
+
+/**
+ * Build a lesson-level diff between the outgoing and incoming snapshots.
+ * Lessons are keyed by group code, date and lesson number.
+ *
+ * @param {Array<Record<string, any>>} previousLessons
+ * @param {Array<Record<string, any>>} nextLessons
+ * @param {{fromDate?: string}} [options] ignore dates before this ISO date
+ * @returns {Array<Record<string, any>>}
+ */
+function diffSnapshots(previousLessons, nextLessons, options = {}) {
+  const previousBySlot = groupBySlot(previousLessons || [], options.fromDate);
+  const nextBySlot = groupBySlot(nextLessons || [], options.fromDate);
+  const keys = new Set([...previousBySlot.keys(), ...nextBySlot.keys()]);
+
+  const changes = [];
+  keys.forEach((key) => {
+    changes.push(...diffSlot(previousBySlot.get(key) || [], nextBySlot.get(key) || []));
+  });
+
+  return changes.sort((a, b) => {
+    if (a.date !== b.date) return a.date.localeCompare(b.date);
+    if (a.groupCode !== b.groupCode) return a.groupCode.localeCompare(b.groupCode);
+    return a.lessonNumber - b.lessonNumber;
+  });
+}
+
+/**
+ * Count changes by type.
+ *
+ * @param {Array<Record<string, any>>} changes
+ * @returns {{added: number, removed: number, modified: number}}
+ */
+function summarizeChanges(changes) {
+  const summary = { added: 0, removed: 0, modified: 0 };
+  (changes || []).forEach((change) => {
+    if (summary[change.type] !== undefined) summary[change.type] += 1;
+  });
+  return summary;
+}
+
+module.exports = { diffSnapshots, summarizeChanges };
@@ -0,0 +1,47 @@
+const config = require("./config");
+const logger = require("./logger");
+const { connectMongo } = require("./db");
+const { ScheduleRepository } = require("./repository");
+const { SyncService } = require("./syncService");
+
+// CLI entry point to list stored snapshots or roll back to one of them.
+// Usage: node src/snapshots.js list | activate <syncId>
+(async () => {
+  const [command = "list", syncId] = process.argv.slice(2);
+  const client = await connectMongo(config.mongoUri);
+
+  try {
+    const db = client.db();
+    const repository = new ScheduleRepository(db);
+    await repository.ensureIndexes();
+
+    if (command === "list") {
+      const snapshots = await repository.listSnapshots();
+      console.log(JSON.stringify({ count: snapshots.length, snapshots }, null, 2));
+      return;
+    }
+
+    if (command === "activate") {
+      if (!syncId) {
+        throw new Error("Usage: node src/snapshots.js activate <syncId>");
+      }
+
+      // Activation does not scrape, so no scraper is required here.
+      const syncService = new SyncService({
+        scraper: null,
+        repository,
+        logger,
+        timezone: config.syncTimezone,
+        snapshotRetention: config.snapshotRetention
+      });
+      const result = await syncService.activateSnapshot(syncId, "cli");
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exitCode = 1;
+      return;
+    }
+
+    throw new Error(`Unknown command: ${command}. Use "list" or "activate <syncId>".`);
+  } finally {
+    await client.close();
+  }
+})();
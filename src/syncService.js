@@ -1,30 +1,82 @@
-function getIsoDateInTimezone(timezone) {
-  return new Intl.DateTimeFormat("en-CA", {
-    timeZone: timezone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit"
-  }).format(new Date());
-}
+const { diffSnapshots, summarizeChanges } = require("./snapshotDiff");
+const { evaluatePromotionRules } = require("./promotionGuard");
+const metrics = require("./metrics");
+const { getIsoDateInTimezone, shiftIsoDate } = require("./dateUtils");
 
-function shiftIsoDate(isoDate, deltaDays) {
-  const base = new Date(`${isoDate}T00:00:00Z`);
-  base.setUTCDate(base.getUTCDate() + deltaDays);
-  return base.toISOString().slice(0, 10);
+/**
+ * Record outcome, duration and parsed item counts of one sync run.
+ *
+ * @param {{outcome: string, trigger: string, startedAt: Date, counts?: Record<string, number>|null}} params
+ * @returns {void}
+ */
+function recordRunMetrics({ outcome, trigger, startedAt, counts = null }) {
+  metrics.syncRuns.inc({ outcome, trigger });
+  metrics.syncDuration.observe({ outcome, trigger }, (Date.now() - startedAt.getTime()) / 1000);
+  if (!counts) return;
+  metrics.syncLastItems.set({ kind: "groups" }, counts.groupsCount);
+  metrics.syncLastItems.set({ kind: "teachers" }, counts.teachersCount);
+  metrics.syncLastItems.set({ kind: "lessons" }, counts.lessonsCount);
+  metrics.syncLastItems.set({ kind: "teacher_lessons" }, counts.teacherLessonsCount);
 }
 
 class SyncService {
   /**
-   * @param {{scraper: any, repository: any, logger: any, timezone?: string}} deps
+   * @param {{
+   *  scraper: any,
+   *  repository: any,
+   *  logger: any,
+   *  timezone?: string,
+   *  snapshotRetention?: number,
+   *  promotionRules?: import("./promotionGuard").PromotionRules
+   * }} deps
    */
-  constructor({ scraper, repository, logger, timezone }) {
+  constructor({ scraper, repository, logger, timezone, snapshotRetention, promotionRules }) {
     this.scraper = scraper;
     this.repository = repository;
     this.logger = logger;
     this.timezone = timezone || "Asia/Omsk";
+    this.snapshotRetention =
+      Number.isFinite(snapshotRetention) && snapshotRetention > 0 ? snapshotRetention : 3;
+    this.promotionRules = promotionRules || { enabled: false };
     this.running = false;
     this.lastError = null;
     this.lastResult = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to sync lifecycle events.
+   * - `finished` receives `{result, changes}` after a successful run or force-promotion
+   * - `failed` receives `{result}` after a failed or rejected run
+   * - `promoted` receives `{syncId, previousSyncId, trigger, reason}` whenever a snapshot becomes active
+   *   (`reason`: `sync`, `force_promote` or `rollback`)
+   *
+   * @param {"finished"|"failed"|"promoted"} eventName
+   * @param {(payload: Record<string, any>) => any} listener
+   * @returns {void}
+   */
+  on(eventName, listener) {
+    const list = this.listeners.get(eventName) || [];
+    list.push(listener);
+    this.listeners.set(eventName, list);
+  }
+
+  /**
+   * Invoke event listeners one by one; listener failures are logged and never rethrown.
+   *
+   * @param {string} eventName
+   * @param {Record<string, any>} payload
+   * @returns {Promise<void>}
+   */
+  async emit(eventName, payload) {
+    const list = this.listeners.get(eventName) || [];
+    for (const listener of list) {
+      try {
+        await listener(payload);
+      } catch (error) {
+        this.logger.error(`Sync ${eventName} listener failed`, { error: error.message });
+      }
+    }
   }
 
   /**
@@ -50,20 +102,56 @@ class SyncService {
   }
 
   /**
-   * Delete lessons older than yesterday in configured timezone.
+   * Get the first date kept in the active snapshot (yesterday in configured timezone).
    *
-   * @returns {Promise<{keepFromDate: string, deletedCount: number}>}
+   * @returns {string}
    */
-  async cleanupOldLessons() {
+  getKeepFromDate() {
     const today = getIsoDateInTimezone(this.timezone);
-    const keepFromDate = shiftIsoDate(today, -1);
-    const deletedCount = await this.repository.deleteActiveLessonsOlderThan(keepFromDate);
+    return shiftIsoDate(today, -1);
+  }
+
+  /**
+   * Copy past days of the active snapshot (before today, overrides applied) into the lesson archive.
+   * Runs before old lessons are deleted and before another snapshot replaces the active one.
+   *
+   * @returns {Promise<number|null>} archived lessons count, null when archiving failed
+   */
+  async archivePastLessons() {
+    try {
+      const meta = await this.repository.getActiveSyncMeta();
+      if (!meta?.activeSyncId) return 0;
+
+      const firstDate = await this.repository.getSnapshotFirstDate(meta.activeSyncId);
+      const lastDate = shiftIsoDate(getIsoDateInTimezone(this.timezone), -1);
+      if (!firstDate || firstDate > lastDate) return 0;
+
+      const range = { from: firstDate, to: lastDate };
+      const lessons = await this.repository.getActiveLessons(range);
+      return await this.repository.archiveLessons(range, lessons);
+    } catch (error) {
+      this.logger.warn("Lesson archiving failed", { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Archive past days, then delete lessons older than yesterday in configured timezone.
+   * Nothing is deleted when archiving failed.
+   *
+   * @returns {Promise<{keepFromDate: string, archivedCount: number|null, deletedCount: number}>}
+   */
+  async cleanupOldLessons() {
+    const keepFromDate = this.getKeepFromDate();
+    const archivedCount = await this.archivePastLessons();
+    const deletedCount =
+      archivedCount === null ? 0 : await this.repository.deleteActiveLessonsOlderThan(keepFromDate);
 
     if (deletedCount > 0) {
-      this.logger.info("Old lessons cleanup finished", { keepFromDate, deletedCount });
+      this.logger.info("Old lessons cleanup finished", { keepFromDate, archivedCount, deletedCount });
     }
 
-    return { keepFromDate, deletedCount };
+    return { keepFromDate, archivedCount, deletedCount };
   }
 
   /**
@@ -75,6 +163,7 @@ class SyncService {
   async run(trigger = "manual") {
     // Prevent overlapping sync jobs from cron/manual/startup triggers.
     if (this.running) {
+      metrics.syncRuns.inc({ outcome: "skipped", trigger });
       return {
         ok: false,
         skipped: true,
@@ -88,6 +177,17 @@ class SyncService {
     const startedAt = new Date();
     const syncId = startedAt.toISOString();
 
+    // Everything logged during the run, including the listeners it starts, carries the sync ID.
+    return this.logger.withContext({ syncId, trigger }, () => this.execute({ syncId, trigger, startedAt }));
+  }
+
+  /**
+   * Body of `run()`, called with the running flag already set.
+   *
+   * @param {{syncId: string, trigger: string, startedAt: Date}} params
+   * @returns {Promise<Record<string, any>>}
+   */
+  async execute({ syncId, trigger, startedAt }) {
     try {
       await this.repository.startSyncRun(syncId, trigger);
 
@@ -113,41 +213,107 @@ class SyncService {
       const lessons = [...groupLessons, ...teacherLessons];
       const teachers = await this.buildTeachersSnapshot(lessons, teachersDirectory);
 
+      const counts = {
+        groupsCount: normalizedGroups.length,
+        teachersCount: teachers.length,
+        lessonsCount: lessons.length,
+        teacherLessonsCount: teacherLessons.length
+      };
+
+      // Load the outgoing snapshot before it gets replaced: used by promotion rules and the diff.
+      const previousMeta = await this.repository.getActiveSyncMeta();
+      const previousSyncId = previousMeta?.activeSyncId || null;
+      const previousLessons = previousSyncId
+        ? await this.repository.getActiveLessons({}, { applyOverrides: false })
+        : [];
+      const previousGroups = previousSyncId ? await this.repository.getActiveGroups() : [];
+
+      const rejectionReasons = previousSyncId
+        ? evaluatePromotionRules({
+            rules: this.promotionRules,
+            candidate: { groupsCount: normalizedGroups.length, lessons },
+            active: { groupsCount: previousGroups.length, lessons: previousLessons },
+            today: getIsoDateInTimezone(this.timezone),
+            keepFromDate: this.getKeepFromDate()
+          })
+        : [];
+
+      // Past days of the outgoing snapshot may be missing from the new one.
+      if (previousSyncId && rejectionReasons.length === 0) await this.archivePastLessons();
+
+      // Rejected snapshots are still stored, so admins can inspect and force-promote them.
       await this.repository.saveSnapshot({
         syncId,
         groups: normalizedGroups,
         teachers,
         lessons,
-        sourceUpdatedAt
+        sourceUpdatedAt,
+        promote: rejectionReasons.length === 0
+      });
+
+      if (rejectionReasons.length > 0) {
+        const result = {
+          ok: false,
+          rejected: true,
+          syncId,
+          trigger,
+          startedAt,
+          finishedAt: new Date(),
+          ...counts,
+          sourceUpdatedAt,
+          activeSyncId: previousSyncId,
+          rejectionReasons
+        };
+
+        await this.repository.finishSyncRun(syncId, {
+          status: "rejected",
+          ...counts,
+          rejectionReasons,
+          sourceUpdatedAt: sourceUpdatedAt ? new Date(sourceUpdatedAt) : null
+        });
+        await this.pruneSnapshots();
+
+        this.lastError = `snapshot rejected: ${rejectionReasons.join("; ")}`;
+        this.lastResult = result;
+        this.logger.warn("Sync rejected by promotion rules", result);
+        recordRunMetrics({ outcome: "rejected", trigger, startedAt, counts });
+        this.emit("failed", { result });
+        return result;
+      }
+
+      const { changes, changesSummary, cleanup } = await this.completePromotion({
+        syncId,
+        lessons,
+        previousSyncId,
+        previousLessons
       });
-      const cleanup = await this.cleanupOldLessons();
 
-      const finishedAt = new Date();
       const result = {
         ok: true,
         syncId,
         trigger,
         startedAt,
-        finishedAt,
-        groupsCount: normalizedGroups.length,
-        teachersCount: teachers.length,
-        lessonsCount: lessons.length,
-        teacherLessonsCount: teacherLessons.length,
+        finishedAt: new Date(),
+        ...counts,
         sourceUpdatedAt,
+        changes: changesSummary,
         cleanup
       };
 
       await this.repository.finishSyncRun(syncId, {
         status: "success",
-        groupsCount: result.groupsCount,
-        teachersCount: result.teachersCount,
-        lessonsCount: result.lessonsCount,
-        teacherLessonsCount: result.teacherLessonsCount,
+        ...counts,
+        changes: result.changes,
         sourceUpdatedAt: sourceUpdatedAt ? new Date(sourceUpdatedAt) : null
       });
+      await this.pruneSnapshots();
 
       this.lastResult = result;
       this.logger.info("Sync finished", result);
+      recordRunMetrics({ outcome: "success", trigger, startedAt, counts });
+      // Listeners (notifications etc.) run in background and must not delay the sync response.
+      this.emit("promoted", { syncId, previousSyncId, trigger, reason: "sync" });
+      this.emit("finished", { result, changes });
       return result;
     } catch (error) {
       this.lastError = error.message;
@@ -158,12 +324,176 @@ class SyncService {
         error: error.message
       });
 
-      return {
+      const result = {
         ok: false,
         syncId,
         trigger,
         error: error.message
       };
+      recordRunMetrics({ outcome: "failed", trigger, startedAt });
+      this.emit("failed", { result });
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Store the diff against the outgoing snapshot and clean up the newly promoted one.
+   * Must be called right after the snapshot became active.
+   *
+   * @param {{syncId: string, lessons: Array<Record<string, any>>, previousSyncId: string|null, previousLessons: Array<Record<string, any>>}} params
+   * @returns {Promise<{changes: Array<Record<string, any>>, changesSummary: Record<string, any>|null, cleanup: Record<string, any>}>}
+   */
+  async completePromotion({ syncId, lessons, previousSyncId, previousLessons }) {
+    const changes = previousSyncId
+      ? diffSnapshots(previousLessons, lessons, { fromDate: this.getKeepFromDate() })
+      : [];
+    await this.repository.saveLessonChanges(syncId, previousSyncId, changes);
+    const cleanup = await this.cleanupOldLessons();
+
+    return {
+      changes,
+      changesSummary: previousSyncId ? { previousSyncId, ...summarizeChanges(changes) } : null,
+      cleanup
+    };
+  }
+
+  /**
+   * Promote a snapshot rejected by promotion rules after manual review.
+   *
+   * @param {string} syncId
+   * @param {string} [trigger="manual"]
+   * @returns {Promise<Record<string, any>>}
+   */
+  async forcePromote(syncId, trigger = "manual") {
+    if (this.running) {
+      return { ok: false, code: "sync_running", error: "sync already running" };
+    }
+
+    // Set before the first await, so a sync cannot start in between and promote as well.
+    this.running = true;
+    try {
+      const run = await this.repository.getSyncRun(syncId);
+      if (!run) {
+        return { ok: false, code: "not_found", error: "sync run not found" };
+      }
+
+      if (run.status !== "rejected" || run.prunedAt) {
+        return {
+          ok: false,
+          code: "not_available",
+          error: `snapshot is not a stored rejected sync (status: ${run.status})`
+        };
+      }
+
+      const previousMeta = await this.repository.getActiveSyncMeta();
+      const previousSyncId = previousMeta?.activeSyncId || null;
+      const previousLessons = previousSyncId
+        ? await this.repository.getActiveLessons({}, { applyOverrides: false })
+        : [];
+      const lessons = await this.repository.getSnapshotLessons(syncId);
+
+      await this.archivePastLessons();
+      await this.repository.promoteSnapshot(syncId, run.sourceUpdatedAt || null);
+      const { changes, changesSummary, cleanup } = await this.completePromotion({
+        syncId,
+        lessons,
+        previousSyncId,
+        previousLessons
+      });
+
+      await this.repository.markSyncRunPromoted(syncId, { changes: changesSummary, promotedBy: trigger });
+      await this.pruneSnapshots();
+
+      const result = {
+        ok: true,
+        syncId,
+        trigger,
+        forced: true,
+        previousSyncId,
+        rejectionReasons: run.rejectionReasons || [],
+        changes: changesSummary,
+        cleanup
+      };
+
+      this.lastError = null;
+      this.lastResult = result;
+      this.logger.warn("Rejected snapshot force-promoted", result);
+      this.emit("promoted", { syncId, previousSyncId, trigger, reason: "force_promote" });
+      this.emit("finished", { result, changes });
+      return result;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error("Force-promotion failed", { error: error.message, syncId });
+      return { ok: false, code: "failed", syncId, trigger, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Remove stored snapshots beyond the retention limit without failing the caller.
+   *
+   * @returns {Promise<void>}
+   */
+  async pruneSnapshots() {
+    try {
+      await this.repository.pruneSnapshots(this.snapshotRetention);
+    } catch (error) {
+      this.logger.warn("Snapshot pruning failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Re-activate a previously stored snapshot (rollback).
+   *
+   * @param {string} syncId
+   * @param {string} [trigger="manual"]
+   * @returns {Promise<Record<string, any>>}
+   */
+  async activateSnapshot(syncId, trigger = "manual") {
+    if (this.running) {
+      return { ok: false, code: "sync_running", error: "sync already running" };
+    }
+
+    // Set before the first await, so a sync or another activation cannot start in between.
+    this.running = true;
+    try {
+      const run = await this.repository.getSyncRun(syncId);
+      if (!run) {
+        return { ok: false, code: "not_found", error: "sync run not found" };
+      }
+
+      if (run.status === "rejected" && !run.prunedAt) {
+        return { ok: false, code: "not_available", error: "snapshot was rejected, force-promote it instead" };
+      }
+
+      if (run.status !== "success" || run.prunedAt) {
+        return { ok: false, code: "not_available", error: `snapshot is not stored (status: ${run.status})` };
+      }
+
+      const previousMeta = await this.repository.getActiveSyncMeta();
+      await this.archivePastLessons();
+      await this.repository.promoteSnapshot(syncId, run.sourceUpdatedAt || null);
+      await this.repository.markSnapshotActivated(syncId, trigger);
+      const cleanup = await this.cleanupOldLessons();
+
+      const result = {
+        ok: true,
+        syncId,
+        previousSyncId: previousMeta?.activeSyncId || null,
+        trigger,
+        cleanup
+      };
+      this.logger.warn("Snapshot activated", result);
+      this.emit("promoted", {
+        syncId,
+        previousSyncId: result.previousSyncId,
+        trigger,
+        reason: "rollback"
+      });
+      return result;
     } finally {
       this.running = false;
     }
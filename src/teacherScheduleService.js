@@ -0,0 +1,257 @@
+const { isIsoDate } = require("./dateUtils");
+
+/**
+ * Build a loose teacher identity key: `"Иванов Иван Иванович"` and `"Иванов И.И."`
+ * both become `"иванов:ии"`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function teacherMatchKey(value) {
+  const normalized = String(value || "")
+    .toLowerCase()
+    .replace(/\./g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!normalized) return "";
+
+  const parts = normalized.split(" ").filter(Boolean);
+  if (!parts.length) return "";
+
+  const surname = parts[0];
+  const initialsRaw = parts.slice(1).join("");
+  if (!initialsRaw) return surname;
+
+  if (parts.length >= 3) {
+    const nameInitial = parts[1][0] || "";
+    const middleInitial = parts[2][0] || "";
+    return `${surname}:${nameInitial}${middleInitial}`;
+  }
+
+  const twoLetters = initialsRaw.slice(0, 2);
+  return `${surname}:${twoLetters}`;
+}
+
+/**
+ * Deduplicate directory teachers by match key (initials and full-name variants collapse).
+ *
+ * @param {Array<Record<string, any>>} teachers
+ * @returns {Array<{key: string, code: string|null, name: string}>} sorted by name
+ */
+function dedupeTeachers(teachers) {
+  const byKey = new Map();
+
+  teachers.forEach((teacher) => {
+    const key = teacherMatchKey(teacher.name);
+    if (!key) return;
+
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, {
+        key,
+        code: teacher.code || null,
+        name: teacher.name
+      });
+      return;
+    }
+
+    // Prefer full form over initials when both variants exist.
+    const prevScore = prev.name.length + (prev.code ? 5 : 0);
+    const nextScore = teacher.name.length + (teacher.code ? 5 : 0);
+    if (nextScore > prevScore) {
+      byKey.set(key, {
+        key,
+        code: teacher.code || null,
+        name: teacher.name
+      });
+      return;
+    }
+
+    if (!prev.code && teacher.code) {
+      byKey.set(key, {
+        ...prev,
+        code: teacher.code
+      });
+    }
+  });
+
+  return Array.from(byKey.values()).sort((a, b) => a.name.localeCompare(b.name, "ru"));
+}
+
+class TeacherScheduleService {
+  /**
+   * @param {{scheduleRepository: any}} deps
+   */
+  constructor({ scheduleRepository }) {
+    this.scheduleRepository = scheduleRepository;
+  }
+
+  /**
+   * Get active teachers deduplicated by match key (initials and full-name variants collapse).
+   *
+   * @returns {Promise<Array<{key: string, code: string|null, name: string}>>}
+   */
+  async getActiveTeachers() {
+    const teachers = await this.scheduleRepository.getActiveTeachers();
+    return dedupeTeachers(teachers);
+  }
+
+  /**
+   * Resolve a teacher by match key (`иванов:ии`), directory key (`cp:192`) or full name.
+   *
+   * @param {string} value
+   * @returns {Promise<{key: string, code: string|null, name: string}|null>}
+   */
+  async resolveTeacher(value) {
+    const input = String(value || "").trim();
+    if (!input) return null;
+
+    const teachers = await this.getActiveTeachers();
+    const byMatchKey = teachers.find((teacher) => teacher.key === input.toLowerCase());
+    if (byMatchKey) return byMatchKey;
+
+    const directoryEntry = await this.scheduleRepository.getActiveTeacherByKey(input);
+    const key = teacherMatchKey(directoryEntry ? directoryEntry.name : input);
+    return teachers.find((teacher) => teacher.key === key) || null;
+  }
+
+  /**
+   * Get teacher lessons from the active snapshot.
+   * Teacher-page rows are preferred, then exact name-key matches, then a surname fallback.
+   *
+   * @param {{key: string, code?: string|null, name: string}} teacher
+   * @param {{date?: string, from?: string, to?: string}} [filters]
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async getTeacherLessons(teacher, filters = {}) {
+    const lessonFilters = {};
+    if (filters.date) lessonFilters.date = filters.date;
+    if (filters.from) lessonFilters.from = filters.from;
+    if (filters.to) lessonFilters.to = filters.to;
+
+    const lessons = await this.scheduleRepository.getActiveLessons(lessonFilters);
+    return this.selectTeacherLessons(teacher, lessons);
+  }
+
+  /**
+   * Pick one teacher's lessons from already loaded lessons and merge parallel ones.
+   * Same matching as `getTeacherLessons`, for callers that process many teachers at once.
+   *
+   * @param {{key: string, code?: string|null, name: string}} teacher
+   * @param {Array<Record<string, any>>} lessons
+   * @returns {Array<Record<string, any>>}
+   */
+  selectTeacherLessons(teacher, lessons) {
+    return this.mergeTeacherParallelLessons(this.matchTeacherLessons(teacher, lessons));
+  }
+
+  /**
+   * Pick one teacher's lessons without merging parallel ones, sorted by date, lesson and group.
+   *
+   * @param {{key: string, code?: string|null, name: string}} teacher
+   * @param {Array<Record<string, any>>} lessons
+   * @returns {Array<Record<string, any>>}
+   */
+  matchTeacherLessons(teacher, lessons) {
+    const byName = lessons.filter((lesson) => teacherMatchKey(lesson.teacher) === teacher.key);
+
+    const teacherCode = String(teacher.code || "").trim();
+    const byTeacherPage = teacherCode
+      ? lessons.filter((lesson) => {
+          const sourceUrl = String(lesson.sourceUrl || "");
+          const codeFromUrl = sourceUrl.match(/cp(\d+)\.htm/i)?.[1] || "";
+          const codeFromField = String(lesson.teacherCode || "");
+          return codeFromUrl === teacherCode || codeFromField === teacherCode;
+        })
+      : [];
+
+    const surname = String(teacher.name || "")
+      .toLowerCase()
+      .trim()
+      .split(/\s+/)[0];
+    const bySurname =
+      !byTeacherPage.length && !byName.length && surname
+        ? lessons.filter((lesson) => String(lesson.teacher || "").toLowerCase().startsWith(surname))
+        : [];
+
+    const preferred = byTeacherPage.length > 0 ? byTeacherPage : byName.length > 0 ? byName : bySurname;
+    return preferred.sort((a, b) => {
+      if (a.date !== b.date) return a.date.localeCompare(b.date);
+      if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
+      return (a.groupName || "").localeCompare(b.groupName || "", "ru");
+    });
+  }
+
+  /**
+   * Merge parallel teacher lessons into one row when time and room are the same.
+   *
+   * @param {Array<Record<string, any>>} lessons
+   * @returns {Array<Record<string, any>>}
+   */
+  mergeTeacherParallelLessons(lessons) {
+    const buckets = new Map();
+
+    lessons.forEach((lesson) => {
+      const date = String(lesson.date || "");
+      const lessonNumber = Number.parseInt(lesson.lessonNumber, 10);
+      const room = String(lesson.room || "-");
+      const subjectKey = String(lesson.subject || "").toLowerCase();
+      const key = `${date}|${lessonNumber}|${room}|${subjectKey}`;
+      const groupLabel = String(lesson.groupName || "");
+      const subjectLabel = String(lesson.subject || "");
+
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          lesson: { ...lesson },
+          groups: new Set(groupLabel ? [groupLabel] : []),
+          subjects: new Set(subjectLabel ? [subjectLabel] : [])
+        });
+        return;
+      }
+
+      const item = buckets.get(key);
+      if (groupLabel) item.groups.add(groupLabel);
+      if (subjectLabel) item.subjects.add(subjectLabel);
+    });
+
+    return Array.from(buckets.values())
+      .map(({ lesson, groups, subjects }) => {
+        const groupsList = Array.from(groups).filter(Boolean);
+        const subjectsList = Array.from(subjects).filter(Boolean);
+
+        return {
+          ...lesson,
+          groupName: groupsList.length ? groupsList.join(" ") : lesson.groupName || null,
+          subject: subjectsList.length > 1 ? subjectsList.join(" / ") : lesson.subject
+        };
+      })
+      .sort((a, b) => {
+        if (a.date !== b.date) return a.date.localeCompare(b.date);
+        if (a.lessonNumber !== b.lessonNumber) return a.lessonNumber - b.lessonNumber;
+        return String(a.groupName || "").localeCompare(String(b.groupName || ""), "ru");
+      });
+  }
+
+  /**
+   * Get merged teacher schedule for API consumers.
+   *
+   * @param {string} value teacher match key, directory key or full name
+   * @param {{date?: string, from?: string, to?: string}} [filters]
+   * @returns {Promise<{ok: true, teacher: Record<string, any>, lessons: Array<Record<string, any>>}|{ok: false, code: "invalid_params"|"not_found", error: string}>}
+   */
+  async getTeacherSchedule(value, filters = {}) {
+    for (const key of ["date", "from", "to"]) {
+      if (filters[key] && !isIsoDate(filters[key])) {
+        return { ok: false, code: "invalid_params", error: `${key} must be in YYYY-MM-DD format` };
+      }
+    }
+
+    const teacher = await this.resolveTeacher(value);
+    if (!teacher) return { ok: false, code: "not_found", error: "teacher not found" };
+
+    const lessons = await this.getTeacherLessons(teacher, filters);
+    return { ok: true, teacher, lessons };
+  }
+}
+
+module.exports = { TeacherScheduleService, teacherMatchKey, dedupeTeachers };
@@ -0,0 +1,235 @@
+const { isIsoDate, getIsoDateInTimezone, shiftIsoDate, getIsoWeekdayNumber } = require("./dateUtils");
+
+// One pair is two academic hours (two lesson halves).
+const ACADEMIC_HOURS_PER_PAIR = 2;
+const GROUP_BY_VALUES = ["week", "month"];
+const MAX_RANGE_DAYS = 366;
+
+const CSV_COLUMNS = [
+  "key",
+  "name",
+  "period",
+  "from",
+  "to",
+  "pairs",
+  "academicHours",
+  "groupsCount",
+  "subjectsCount",
+  "groups",
+  "subjects"
+];
+
+/**
+ * ISO week label, e.g. `"2026-W07"`.
+ *
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function getIsoWeekLabel(isoDate) {
+  // The ISO week belongs to the year of its Thursday.
+  const thursday = shiftIsoDate(isoDate, 4 - getIsoWeekdayNumber(isoDate));
+  const year = thursday.slice(0, 4);
+  const dayOfYear = Math.round(
+    (new Date(`${thursday}T00:00:00Z`).getTime() - new Date(`${year}-01-01T00:00:00Z`).getTime()) / 86400000
+  );
+  return `${year}-W${String(Math.floor(dayOfYear / 7) + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Period of a date with its bounds clipped to the requested range.
+ *
+ * @param {string} isoDate
+ * @param {"week"|"month"} groupBy
+ * @param {{from: string, to: string}} range
+ * @returns {{period: string, from: string, to: string}}
+ */
+function getPeriod(isoDate, groupBy, range) {
+  let period;
+  let from;
+  let to;
+  if (groupBy === "week") {
+    period = getIsoWeekLabel(isoDate);
+    from = shiftIsoDate(isoDate, 1 - getIsoWeekdayNumber(isoDate));
+    to = shiftIsoDate(from, 6);
+  } else {
+    period = isoDate.slice(0, 7);
+    from = `${period}-01`;
+    const nextMonth = new Date(`${from}T00:00:00Z`);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    to = shiftIsoDate(nextMonth.toISOString().slice(0, 10), -1);
+  }
+  return {
+    period,
+    from: from < range.from ? range.from : from,
+    to: to > range.to ? range.to : to
+  };
+}
+
+function escapeCsvValue(value) {
+  const text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render workload rows as CSV. A BOM is prepended so spreadsheet apps detect UTF-8 Cyrillic.
+ *
+ * @param {Array<Record<string, any>>} teachers items from `getWorkload`
+ * @returns {string}
+ */
+function workloadToCsv(teachers) {
+  const lines = [CSV_COLUMNS.join(",")];
+  teachers.forEach((teacher) => {
+    const rows = teacher.periods || [{ ...teacher, period: "" }];
+    rows.forEach((row) => {
+      const values = { ...row, key: teacher.key, name: teacher.name };
+      lines.push(CSV_COLUMNS.map((column) => escapeCsvValue(values[column])).join(","));
+    });
+  });
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+class TeacherWorkloadService {
+  /**
+   * @param {{scheduleRepository: any, teacherScheduleService: any, timezone: string}} deps
+   */
+  constructor({ scheduleRepository, teacherScheduleService, timezone }) {
+    this.scheduleRepository = scheduleRepository;
+    this.teacherScheduleService = teacherScheduleService;
+    this.timezone = timezone;
+  }
+
+  /**
+   * Validate range params. Defaults to the current Monday-Sunday week.
+   *
+   * @param {{from?: string, to?: string, groupBy?: string}} params
+   * @returns {{ok: true, from: string, to: string, groupBy: "week"|"month"|null}|{ok: false, error: string}}
+   */
+  parseParams({ from, to, groupBy } = {}) {
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && !isIsoDate(value)) return { ok: false, error: `${key} must be in YYYY-MM-DD format` };
+    }
+    if (groupBy && !GROUP_BY_VALUES.includes(groupBy)) {
+      return { ok: false, error: `groupBy must be one of: ${GROUP_BY_VALUES.join(", ")}` };
+    }
+
+    const today = getIsoDateInTimezone(this.timezone);
+    const monday = shiftIsoDate(today, 1 - getIsoWeekdayNumber(today));
+    const rangeFrom = from || (to ? shiftIsoDate(to, -6) : monday);
+    const rangeTo = to || (from ? shiftIsoDate(from, 6) : shiftIsoDate(monday, 6));
+    if (rangeFrom > rangeTo) return { ok: false, error: "from must not be later than to" };
+    if (shiftIsoDate(rangeFrom, MAX_RANGE_DAYS - 1) < rangeTo) {
+      return { ok: false, error: `range must not exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { ok: true, from: rangeFrom, to: rangeTo, groupBy: groupBy || null };
+  }
+
+  /**
+   * Summarize teacher lessons. Pairs are counted on merged rows, so parallel groups count as one pair;
+   * groups and subjects come from the rows before merging, where each has its own name.
+   *
+   * @param {Array<Record<string, any>>} lessons rows from `TeacherScheduleService.matchTeacherLessons`
+   * @returns {{pairs: number, academicHours: number, groupsCount: number, subjectsCount: number, groups: string[], subjects: string[]}}
+   */
+  summarizeLessons(lessons) {
+    const pairs = this.teacherScheduleService.mergeTeacherParallelLessons(lessons).length;
+    const groups = new Set();
+    const subjects = new Map();
+    lessons.forEach((lesson) => {
+      const group = String(lesson.groupName || "").trim();
+      if (group) groups.add(group);
+      const subject = String(lesson.subject || "").trim();
+      if (subject && !subjects.has(subject.toLowerCase())) subjects.set(subject.toLowerCase(), subject);
+    });
+
+    return {
+      pairs,
+      academicHours: pairs * ACADEMIC_HOURS_PER_PAIR,
+      groupsCount: groups.size,
+      subjectsCount: subjects.size,
+      groups: Array.from(groups).sort((a, b) => a.localeCompare(b, "ru")),
+      subjects: Array.from(subjects.values()).sort((a, b) => a.localeCompare(b, "ru"))
+    };
+  }
+
+  /**
+   * Build one teacher's workload from their lessons before merging.
+   *
+   * @param {{key: string, code?: string|null, name: string}} teacher
+   * @param {Array<Record<string, any>>} lessons
+   * @param {{from: string, to: string, groupBy: "week"|"month"|null}} range
+   * @returns {Record<string, any>}
+   */
+  buildTeacherWorkload(teacher, lessons, range) {
+    const workload = {
+      key: teacher.key,
+      code: teacher.code || null,
+      name: teacher.name,
+      from: range.from,
+      to: range.to,
+      ...this.summarizeLessons(lessons)
+    };
+    if (!range.groupBy) return workload;
+
+    const byPeriod = new Map();
+    lessons.forEach((lesson) => {
+      const period = getPeriod(lesson.date, range.groupBy, range);
+      if (!byPeriod.has(period.period)) byPeriod.set(period.period, { ...period, lessons: [] });
+      byPeriod.get(period.period).lessons.push(lesson);
+    });
+    workload.periods = Array.from(byPeriod.values())
+      .sort((a, b) => a.from.localeCompare(b.from))
+      .map(({ lessons: periodLessons, ...period }) => ({
+        ...period,
+        ...this.summarizeLessons(periodLessons)
+      }));
+    return workload;
+  }
+
+  /**
+   * Workload of all active teachers, busiest first. Teachers without lessons in the range are omitted.
+   *
+   * @param {{from?: string, to?: string, groupBy?: string}} [params]
+   * @returns {Promise<{ok: true, from: string, to: string, groupBy: string|null, teachers: Array<Record<string, any>>}|{ok: false, code: "invalid_params", error: string}>}
+   */
+  async getWorkload(params = {}) {
+    const range = this.parseParams(params);
+    if (!range.ok) return { ...range, code: "invalid_params" };
+
+    const [teachers, lessons] = await Promise.all([
+      this.teacherScheduleService.getActiveTeachers(),
+      this.scheduleRepository.getActiveLessons({ from: range.from, to: range.to })
+    ]);
+
+    const items = teachers
+      .map((teacher) => {
+        const teacherLessons = this.teacherScheduleService.matchTeacherLessons(teacher, lessons);
+        return this.buildTeacherWorkload(teacher, teacherLessons, range);
+      })
+      .filter((item) => item.pairs > 0)
+      .sort((a, b) => b.pairs - a.pairs || a.name.localeCompare(b.name, "ru"));
+
+    return { ok: true, from: range.from, to: range.to, groupBy: range.groupBy, teachers: items };
+  }
+
+  /**
+   * Workload of one teacher resolved by match key, directory key or name.
+   *
+   * @param {string} value
+   * @param {{from?: string, to?: string, groupBy?: string}} [params]
+   * @returns {Promise<{ok: true, teacher: Record<string, any>}|{ok: false, code: "invalid_params"|"not_found", error: string}>}
+   */
+  async getTeacherWorkload(value, params = {}) {
+    const range = this.parseParams(params);
+    if (!range.ok) return { ...range, code: "invalid_params" };
+
+    const teacher = await this.teacherScheduleService.resolveTeacher(value);
+    if (!teacher) return { ok: false, code: "not_found", error: "teacher not found" };
+
+    const lessons = await this.scheduleRepository.getActiveLessons({ from: range.from, to: range.to });
+    const teacherLessons = this.teacherScheduleService.matchTeacherLessons(teacher, lessons);
+    return { ok: true, teacher: this.buildTeacherWorkload(teacher, teacherLessons, range) };
+  }
+}
+
+module.exports = { TeacherWorkloadService, workloadToCsv, getIsoWeekLabel };
@@ -0,0 +1,181 @@
+const { ObjectId } = require("mongodb");
+
+function toDocument(doc) {
+  const { _id, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+class WebhookRepository {
+  /**
+   * @param {import("mongodb").Db} db
+   */
+  constructor(db) {
+    this.subscriptions = db.collection("webhookSubscriptions");
+    this.deliveries = db.collection("webhookDeliveries");
+  }
+
+  /**
+   * Ensure indexes for subscriptions and the delivery log.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this.subscriptions.createIndex({ enabled: 1, events: 1 }, { name: "enabled_events" });
+    await this.deliveries.createIndex({ status: 1, nextAttemptAt: 1 }, { name: "status_next_attempt" });
+    await this.deliveries.createIndex(
+      { subscriptionId: 1, createdAt: -1 },
+      { name: "subscription_created_desc" }
+    );
+    await this.deliveries.createIndex({ createdAt: 1 }, { name: "created_at" });
+  }
+
+  /**
+   * @returns {Promise<Array<Record<string, any>>>} all subscriptions, newest first
+   */
+  async listSubscriptions() {
+    const docs = await this.subscriptions.find({}).sort({ createdAt: -1 }).toArray();
+    return docs.map(toDocument);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Record<string, any>|null>}
+   */
+  async getSubscription(id) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const doc = await this.subscriptions.findOne({ _id });
+    return doc ? toDocument(doc) : null;
+  }
+
+  /**
+   * @param {string} event
+   * @returns {Promise<Array<Record<string, any>>>} enabled subscriptions listening to the event
+   */
+  async findSubscriptionsForEvent(event) {
+    const docs = await this.subscriptions.find({ enabled: true, events: event }).toArray();
+    return docs.map(toDocument);
+  }
+
+  /**
+   * @param {Record<string, any>} subscription
+   * @returns {Promise<Record<string, any>>} stored subscription with `id`
+   */
+  async insertSubscription(subscription) {
+    const now = new Date();
+    const doc = { ...subscription, createdAt: now, updatedAt: now };
+    const result = await this.subscriptions.insertOne(doc);
+    return toDocument({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * @param {string} id
+   * @param {Record<string, any>} changes
+   * @returns {Promise<Record<string, any>|null>} updated subscription, null when no subscription has the id
+   */
+  async updateSubscription(id, changes) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const doc = await this.subscriptions.findOneAndUpdate(
+      { _id },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    return doc ? toDocument(doc) : null;
+  }
+
+  /**
+   * Delete a subscription together with its delivery log.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} true when a subscription was deleted
+   */
+  async deleteSubscription(id) {
+    const _id = toObjectId(id);
+    if (!_id) return false;
+    const result = await this.subscriptions.deleteOne({ _id });
+    if (result.deletedCount > 0) await this.deliveries.deleteMany({ subscriptionId: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * @param {Record<string, any>} delivery
+   * @returns {Promise<Record<string, any>>} stored delivery with `id`
+   */
+  async insertDelivery(delivery) {
+    const doc = { ...delivery, createdAt: new Date() };
+    const result = await this.deliveries.insertOne(doc);
+    return toDocument({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * @param {string} id
+   * @param {Record<string, any>} changes
+   * @returns {Promise<void>}
+   */
+  async updateDelivery(id, changes) {
+    await this.deliveries.updateOne({ _id: new ObjectId(id) }, { $set: changes });
+  }
+
+  /**
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<Array<Record<string, any>>>} pending deliveries whose retry time has come, oldest first
+   */
+  async findDueDeliveries(now, limit) {
+    const docs = await this.deliveries
+      .find({ status: "pending", nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .toArray();
+    return docs.map(toDocument);
+  }
+
+  /**
+   * Atomically take a due pending delivery by moving its `nextAttemptAt` to the end of the lease.
+   * If the process dies while sending, the delivery becomes due again when the lease ends.
+   *
+   * @param {string} id
+   * @param {Date} leaseUntil
+   * @returns {Promise<Record<string, any>|null>} claimed delivery, null when it is no longer due
+   */
+  async claimDelivery(id, leaseUntil) {
+    const doc = await this.deliveries.findOneAndUpdate(
+      { _id: new ObjectId(id), status: "pending", nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: leaseUntil } },
+      { returnDocument: "after" }
+    );
+    return doc ? toDocument(doc) : null;
+  }
+
+  /**
+   * @param {{subscriptionId: string, status?: string|null, limit: number}} params
+   * @returns {Promise<Array<Record<string, any>>>} newest first
+   */
+  async listDeliveries({ subscriptionId, status = null, limit }) {
+    const query = { subscriptionId };
+    if (status) query.status = status;
+    const docs = await this.deliveries.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+    return docs.map(toDocument);
+  }
+
+  /**
+   * Remove finished deliveries older than the given date.
+   *
+   * @param {Date} before
+   * @returns {Promise<number>} deleted deliveries count
+   */
+  async pruneDeliveries(before) {
+    const result = await this.deliveries.deleteMany({
+      status: { $in: ["success", "failed"] },
+      createdAt: { $lt: before }
+    });
+    return result?.deletedCount || 0;
+  }
+}
+
+module.exports = { WebhookRepository };
@@ -0,0 +1,391 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+const WEBHOOK_EVENTS = ["sync.finished", "sync.failed", "snapshot.promoted", "schedule.changed"];
+const DELIVERY_STATUSES = ["pending", "success", "failed"];
+const MIN_SECRET_LENGTH = 16;
+// Deliveries retried per tick; the rest wait for the next one.
+const RETRY_BATCH_SIZE = 50;
+// Added to the HTTP timeout while a delivery is being sent, so no replica picks it up in the meantime.
+const LEASE_MARGIN_MS = 30 * 1000;
+
+/**
+ * HMAC-SHA256 signature of a delivery, sent as `X-Webhook-Signature: sha256=<hex>`.
+ * The timestamp is signed too, so receivers can reject replayed requests.
+ *
+ * @param {string} secret
+ * @param {number} timestamp unix seconds from `X-Webhook-Timestamp`
+ * @param {string} body raw request body
+ * @returns {string}
+ */
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return Array.from(new Set(list.map((item) => String(item ?? "").trim()).filter(Boolean)));
+}
+
+/**
+ * Validate a subscription. With `partial`, only given fields are validated and returned.
+ *
+ * @param {unknown} body
+ * @param {{partial?: boolean}} [options]
+ * @returns {{ok: true, subscription: Record<string, any>}|{ok: false, error: string}}
+ */
+function normalizeSubscriptionInput(body, { partial = false } = {}) {
+  const has = (field) => body?.[field] !== undefined;
+  const subscription = {};
+
+  if (!partial || has("url")) {
+    const url = String(body?.url || "").trim();
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return { ok: false, error: "url must be an http(s) URL" };
+    }
+    subscription.url = url;
+  }
+
+  if (!partial || has("events")) {
+    const events = toStringList(body?.events);
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (!events.length || unknown.length) {
+      return { ok: false, error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}` };
+    }
+    subscription.events = events;
+  }
+
+  if (!partial || has("groupCodes")) subscription.groupCodes = toStringList(body?.groupCodes);
+  if (!partial || has("description")) subscription.description = String(body?.description ?? "").trim() || null;
+
+  if (!partial || has("enabled")) {
+    if (has("enabled") && typeof body.enabled !== "boolean") {
+      return { ok: false, error: "enabled must be a boolean" };
+    }
+    subscription.enabled = has("enabled") ? body.enabled : true;
+  }
+
+  if (has("secret")) {
+    const secret = String(body.secret).trim();
+    if (secret.length < MIN_SECRET_LENGTH) {
+      return { ok: false, error: `secret must be at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    subscription.secret = secret;
+  }
+
+  if (partial && !Object.keys(subscription).length) return { ok: false, error: "nothing to update" };
+  return { ok: true, subscription };
+}
+
+// Secrets are only shown when a subscription is created.
+function withoutSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
+function groupChangesByGroup(changes) {
+  const byGroup = new Map();
+  (changes || []).forEach((change) => {
+    if (!byGroup.has(change.groupCode)) byGroup.set(change.groupCode, []);
+    byGroup.get(change.groupCode).push(change);
+  });
+  return byGroup;
+}
+
+class WebhookService {
+  /**
+   * @param {{
+   *  repository: import("./webhookRepository").WebhookRepository,
+   *  logger: any,
+   *  timeoutMs?: number,
+   *  maxAttempts?: number,
+   *  retryBaseSeconds?: number,
+   *  deliveryRetentionDays?: number
+   * }} deps
+   */
+  constructor({
+    repository,
+    logger,
+    timeoutMs = 10000,
+    maxAttempts = 6,
+    retryBaseSeconds = 30,
+    deliveryRetentionDays = 30
+  }) {
+    this.repository = repository;
+    this.logger = logger;
+    this.maxAttempts = Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : 6;
+    this.retryBaseSeconds = Number.isFinite(retryBaseSeconds) && retryBaseSeconds > 0 ? retryBaseSeconds : 30;
+    this.deliveryRetentionDays =
+      Number.isFinite(deliveryRetentionDays) && deliveryRetentionDays > 0 ? deliveryRetentionDays : 30;
+    this.leaseMs = timeoutMs + LEASE_MARGIN_MS;
+    this.retrying = false;
+
+    // Any response is recorded; only 2xx counts as delivered.
+    this.http = axios.create({ timeout: timeoutMs, validateStatus: () => true });
+  }
+
+  /**
+   * Subscribe sync lifecycle events to webhook deliveries.
+   *
+   * @param {import("./syncService").SyncService} syncService
+   * @returns {void}
+   */
+  attach(syncService) {
+    syncService.on("finished", (payload) => this.handleSyncFinished(payload));
+    syncService.on("failed", ({ result }) => this.publish("sync.failed", result));
+    syncService.on("promoted", (payload) => this.publish("snapshot.promoted", payload));
+  }
+
+  /**
+   * @param {unknown} body
+   * @returns {Promise<{ok: true, subscription: Record<string, any>}|{ok: false, error: string}>}
+   */
+  async createSubscription(body) {
+    const normalized = normalizeSubscriptionInput(body);
+    if (!normalized.ok) return normalized;
+
+    const subscription = await this.repository.insertSubscription({
+      secret: crypto.randomBytes(32).toString("hex"),
+      ...normalized.subscription
+    });
+    this.logger.info("Webhook subscription created", { id: subscription.id, url: subscription.url });
+    return { ok: true, subscription };
+  }
+
+  /**
+   * @returns {Promise<Array<Record<string, any>>>}
+   */
+  async listSubscriptions() {
+    const subscriptions = await this.repository.listSubscriptions();
+    return subscriptions.map(withoutSecret);
+  }
+
+  /**
+   * @param {string} id
+   * @param {unknown} body
+   * @returns {Promise<{ok: true, subscription: Record<string, any>}|{ok: false, code: "invalid_params"|"not_found", error: string}>}
+   */
+  async updateSubscription(id, body) {
+    const normalized = normalizeSubscriptionInput(body, { partial: true });
+    if (!normalized.ok) return { ...normalized, code: "invalid_params" };
+
+    const subscription = await this.repository.updateSubscription(id, normalized.subscription);
+    if (!subscription) return { ok: false, code: "not_found", error: "webhook not found" };
+    return { ok: true, subscription: withoutSecret(subscription) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} false when no subscription has the id
+   */
+  async deleteSubscription(id) {
+    const deleted = await this.repository.deleteSubscription(id);
+    if (deleted) this.logger.info("Webhook subscription deleted", { id });
+    return deleted;
+  }
+
+  /**
+   * @param {string} id
+   * @param {{status?: string, limit?: string|number}} [params]
+   * @returns {Promise<{ok: true, deliveries: Array<Record<string, any>>}|{ok: false, code: "invalid_params"|"not_found", error: string}>}
+   */
+  async listDeliveries(id, { status, limit } = {}) {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return {
+        ok: false,
+        code: "invalid_params",
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`
+      };
+    }
+    const pageSize = limit === undefined || limit === "" ? 50 : Number.parseInt(String(limit), 10);
+    if (!Number.isFinite(pageSize) || pageSize < 1 || pageSize > 500) {
+      return { ok: false, code: "invalid_params", error: "limit must be an integer between 1 and 500" };
+    }
+
+    const subscription = await this.repository.getSubscription(id);
+    if (!subscription) return { ok: false, code: "not_found", error: "webhook not found" };
+
+    const deliveries = await this.repository.listDeliveries({
+      subscriptionId: subscription.id,
+      status: status || null,
+      limit: pageSize
+    });
+    return { ok: true, deliveries };
+  }
+
+  /**
+   * Publish `sync.finished` and one `schedule.changed` event per group with lesson changes.
+   *
+   * @param {{result: Record<string, any>, changes: Array<Record<string, any>>}} payload
+   * @returns {Promise<void>}
+   */
+  async handleSyncFinished({ result, changes }) {
+    await this.publish("sync.finished", result);
+
+    const previousSyncId = result.changes?.previousSyncId || result.previousSyncId || null;
+    for (const [groupCode, groupChanges] of groupChangesByGroup(changes)) {
+      await this.publish(
+        "schedule.changed",
+        {
+          syncId: result.syncId,
+          previousSyncId,
+          groupCode,
+          groupName: groupChanges[0].groupName,
+          summary: {
+            added: groupChanges.filter((change) => change.type === "added").length,
+            removed: groupChanges.filter((change) => change.type === "removed").length,
+            modified: groupChanges.filter((change) => change.type === "modified").length
+          },
+          changes: groupChanges
+        },
+        { groupCode }
+      );
+    }
+  }
+
+  /**
+   * Store one delivery per matching subscription and attempt it right away.
+   * New deliveries are leased to this process, so the retry job leaves them alone while they are sent.
+   * Subscriptions with `groupCodes` only receive `schedule.changed` of those groups.
+   *
+   * @param {string} event
+   * @param {Record<string, any>} data
+   * @param {{groupCode?: string}} [options]
+   * @returns {Promise<number>} deliveries created
+   */
+  async publish(event, data, { groupCode } = {}) {
+    const subscriptions = (await this.repository.findSubscriptionsForEvent(event)).filter(
+      (subscription) =>
+        !groupCode || !subscription.groupCodes?.length || subscription.groupCodes.includes(groupCode)
+    );
+    if (!subscriptions.length) return 0;
+
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+    for (const subscription of subscriptions) {
+      const delivery = await this.repository.insertDelivery({
+        subscriptionId: subscription.id,
+        eventId: payload.id,
+        event,
+        payload,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(Date.now() + this.leaseMs),
+        lastAttemptAt: null,
+        lastStatusCode: null,
+        lastError: null,
+        deliveredAt: null
+      });
+      await this.attemptDelivery(delivery, subscription);
+    }
+    return subscriptions.length;
+  }
+
+  /**
+   * POST one delivery. Failed attempts are retried with exponential backoff
+   * (`retryBaseSeconds * 2^(attempt-1)`) until `maxAttempts` is reached.
+   *
+   * @param {Record<string, any>} delivery
+   * @param {Record<string, any>} subscription
+   * @returns {Promise<boolean>} true when delivered
+   */
+  async attemptDelivery(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await this.http.post(subscription.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "omacademy-schedule-backend",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signWebhookBody(subscription.secret, timestamp, body)}`
+        }
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const now = new Date();
+    const changes = { attempts, lastAttemptAt: now, lastStatusCode: statusCode, lastError: error };
+    if (!error) {
+      Object.assign(changes, { status: "success", nextAttemptAt: null, deliveredAt: now });
+    } else if (attempts >= this.maxAttempts) {
+      Object.assign(changes, { status: "failed", nextAttemptAt: null });
+    } else {
+      const delayMs = this.retryBaseSeconds * 2 ** (attempts - 1) * 1000;
+      Object.assign(changes, { status: "pending", nextAttemptAt: new Date(now.getTime() + delayMs) });
+    }
+    await this.repository.updateDelivery(delivery.id, changes);
+
+    if (error) {
+      this.logger.warn("Webhook delivery failed", {
+        deliveryId: delivery.id,
+        event: delivery.event,
+        url: subscription.url,
+        attempts,
+        error
+      });
+    }
+    return !error;
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed and prune the old delivery log.
+   * Each delivery is claimed before it is sent, so replicas running the same job never send it twice.
+   * Deliveries of deleted or disabled subscriptions are marked failed.
+   *
+   * @returns {Promise<number>} attempted deliveries count
+   */
+  async retryDueDeliveries() {
+    if (this.retrying) return 0;
+    this.retrying = true;
+
+    try {
+      const due = await this.repository.findDueDeliveries(new Date(), RETRY_BATCH_SIZE);
+      const subscriptions = new Map();
+      let attempted = 0;
+      for (const { id } of due) {
+        const delivery = await this.repository.claimDelivery(id, new Date(Date.now() + this.leaseMs));
+        // Taken by another replica since the query.
+        if (!delivery) continue;
+        attempted += 1;
+
+        const { subscriptionId } = delivery;
+        if (!subscriptions.has(subscriptionId)) {
+          subscriptions.set(subscriptionId, await this.repository.getSubscription(subscriptionId));
+        }
+        const subscription = subscriptions.get(subscriptionId);
+        if (!subscription?.enabled) {
+          await this.repository.updateDelivery(delivery.id, {
+            status: "failed",
+            nextAttemptAt: null,
+            lastError: "subscription disabled"
+          });
+          continue;
+        }
+        await this.attemptDelivery(delivery, subscription);
+      }
+
+      const before = new Date(Date.now() - this.deliveryRetentionDays * 24 * 60 * 60 * 1000);
+      await this.repository.pruneDeliveries(before);
+      return attempted;
+    } finally {
+      this.retrying = false;
+    }
+  }
+}
+
+module.exports = { WebhookService, WEBHOOK_EVENTS, signWebhookBody, normalizeSubscriptionInput };